@@ -0,0 +1,37 @@
+import { readFile, writeFile, mkdir } from 'fs/promises'
+import { dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { topology } from 'topojson-server'
+import { presimplify, simplify } from 'topojson-simplify'
+import { quantize } from 'topojson-client'
+import { TOWN_LEVELS, TOWN_PROPERTIES, townLevelFile } from '../server/boundaries.js'
+
+// Build the town boundary levels served by /api/boundaries/towns from the
+// statewide GeoJSON. Towns share arcs in the topology, so neighboring towns
+// are simplified identically and stay gap-free at every level.
+const SOURCE_FILE = fileURLToPath(new URL('./data/Massachusetts.geojson', import.meta.url))
+
+// About 3 m across the state's extent
+const QUANTIZATION = 1e5
+
+const source = JSON.parse(await readFile(SOURCE_FILE, 'utf8'))
+const towns = {
+  type: 'FeatureCollection',
+  features: source.features.map(town => ({
+    type: 'Feature',
+    properties: Object.fromEntries(TOWN_PROPERTIES.map(key => [key, town.properties[key] ?? null])),
+    geometry: town.geometry
+  }))
+}
+
+const presimplified = presimplify(topology({ towns }))
+const points = (topo) => topo.arcs.reduce((sum, arc) => sum + arc.length, 0)
+
+for (const level of TOWN_LEVELS) {
+  const simplified = quantize(simplify(presimplified, level.minArea), QUANTIZATION)
+  const filePath = townLevelFile(level.id)
+  const json = JSON.stringify(simplified)
+  await mkdir(dirname(filePath), { recursive: true })
+  await writeFile(filePath, json + '\n')
+  console.log(`${level.id}: ${points(simplified)} points, ${Math.round(json.length / 1024)} KB -> ${filePath}`)
+}
@@ -0,0 +1,15 @@
+import { createInterface } from 'readline/promises'
+import { hashPassword } from '../server/adminAuth.js'
+
+// Print a password hash for an ADMIN_USERS entry (name:role:<hash>), so the
+// password itself needn't be kept in config: `npm run admin:hash-password`
+const readline = createInterface({ input: process.stdin, output: process.stderr })
+const password = await readline.question('Password: ')
+readline.close()
+
+if (!password) {
+  console.error('No password given')
+  process.exitCode = 1
+} else {
+  console.log(hashPassword(password))
+}
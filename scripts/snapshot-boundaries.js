@@ -0,0 +1,28 @@
+import { mkdir, writeFile } from 'fs/promises'
+import { dirname } from 'path'
+import { fetchBoundaries, boundarySnapshotFile } from '../server/boundaries.js'
+import { MUNICIPALITIES } from '../src/config/municipalities.js'
+
+// Write the neighborhood boundary snapshots in server/boundaries/, which the
+// server falls back to when ArcGIS can't be reached. Pass municipality ids to
+// update only those: `npm run boundaries:snapshot -- boston cambridge`
+const ids = process.argv.slice(2)
+const municipalities = MUNICIPALITIES.filter(municipality =>
+  municipality.neighborhoodServiceUrl && (ids.length === 0 || ids.includes(municipality.id))
+)
+
+let failed = false
+for (const municipality of municipalities) {
+  const filePath = boundarySnapshotFile(municipality.id)
+  try {
+    const geojson = await fetchBoundaries(municipality)
+    await mkdir(dirname(filePath), { recursive: true })
+    await writeFile(filePath, JSON.stringify(geojson) + '\n')
+    console.log(`${municipality.name}: ${geojson.features.length} neighborhoods -> ${filePath}`)
+  } catch (error) {
+    failed = true
+    console.error(`${municipality.name}: failed to snapshot boundaries:`, error.message)
+  }
+}
+
+process.exitCode = failed ? 1 : 0
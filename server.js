@@ -2,6 +2,39 @@ import express from 'express'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import dotenv from 'dotenv'
+import { createSnapshotCache, sendSnapshot } from './server/snapshotCache.js'
+import { queryAllFeatures } from './src/utils/arcgisQuery.js'
+import { matchesFilters } from './src/utils/featureFilters.js'
+import { normalizeFeatures, withoutAttributes } from './src/utils/featureSchema.js'
+import { EXPORT_FORMATS, exportFeatures, exportFilename } from './src/utils/exporters.js'
+import { parseFeatureFilters, hasFilters, buildArcGISQuery, FilterValidationError } from './server/featureQuery.js'
+import { loadCurationRules, applyCuration, addCurationRule, removeCurationRule, CurationRuleError } from './server/curation.js'
+import {
+  ROLES,
+  adminEnabled,
+  authenticate,
+  currentAdmin,
+  requirePermission,
+  setSessionCookie,
+  clearSessionCookie
+} from './server/adminAuth.js'
+import { recordAudit, readAuditLog } from './server/auditLog.js'
+import { checkUpstreams } from './server/health.js'
+import { createRateLimiter } from './server/rateLimit.js'
+import { boundaryCache, boundaryCacheStatuses, townBoundaries, BOUNDARY_CACHE_TTL, BOUNDARY_CACHE_SWR } from './server/boundaries.js'
+import { getMunicipality } from './src/config/municipalities.js'
+import { historyEnabled, listSnapshots, loadHistorySnapshot, recordSnapshot, diffSnapshots, lostSpaces } from './server/history.js'
+import { isCalendarDate } from './src/utils/dates.js'
+import {
+  parseSubmission,
+  addSubmission,
+  listSubmissions,
+  reviewSubmission,
+  withCurrentRecord,
+  SUBMISSION_STATUSES,
+  SubmissionValidationError,
+  SubmissionQueueFullError
+} from './server/submissions.js'
 
 // Load environment variables from .env file
 dotenv.config()
@@ -12,10 +45,19 @@ const __dirname = dirname(__filename)
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Behind a proxy (e.g. TRUST_PROXY=1 on Heroku), take the client IP from
+// X-Forwarded-For so rate limits apply per visitor rather than per proxy
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy)
+}
+
 // Middleware
 app.use(express.json())
 
 // API endpoint to get Mapbox token 
+// Public on purpose: the browser needs it to draw the map, so it must be a public
+// (pk.) token, restricted to the app's URLs in the Mapbox account
 app.get('/api/mapbox-token', (req, res) => {
   // get mapbox token 
   const token =  process.env.VITE_MAPBOX_ACCESS_TOKEN
@@ -28,40 +70,525 @@ app.get('/api/mapbox-token', (req, res) => {
   res.json({ token })
 })
 
-// API endpoint to proxy ArcGIS Feature Service 
-app.get('/api/features', async (req, res) => {
+// Cache settings for the feature service proxy (seconds)
+const FEATURE_CACHE_TTL = Number(process.env.FEATURE_CACHE_TTL_SECONDS) || 300
+const FEATURE_CACHE_SWR = Number(process.env.FEATURE_CACHE_SWR_SECONDS) || 86400
+
+// Fetch features from the ArcGIS Feature Service, paging past maxRecordCount, map them
+// onto the normalized schema and drop anything excluded by the curation rules.
+// Without filters this is the full set.
+async function fetchFeatures(filters = {}) {
   const FEATURE_SERVICE_URL = process.env.VITE_FEATURE_SERVICE_URL
+  const { where, params } = buildArcGISQuery(filters)
 
-   
-  
-  try {
-    const queryParams = new URLSearchParams({
-      where: '1=1',
-      outFields: '*',
-      outSR: '4326',
-      f: 'geojson',
-      returnGeometry: 'true'
+  const [geojson, rules] = await Promise.all([
+    queryAllFeatures(FEATURE_SERVICE_URL, { where, params }),
+    loadCurationRules()
+  ])
+
+  if (!geojson.features) {
+    throw new Error('Invalid GeoJSON response')
+  }
+
+  const { features, invalid } = normalizeFeatures(geojson.features)
+  if (invalid.length > 0) {
+    console.warn(`${invalid.length} feature(s) failed schema validation; see /api/admin/validation`)
+  }
+
+  return { ...applyCuration(features, rules), invalid }
+}
+
+// Fetch the full set and keep a dated copy in the snapshot history (see server/history.js)
+async function fetchAndRecordFeatures() {
+  const data = await fetchFeatures()
+  if (historyEnabled()) {
+    recordSnapshot(data.features).catch(error => {
+      console.error('Error recording feature history:', error)
     })
-    
-    const response = await fetch(`${FEATURE_SERVICE_URL}/query?${queryParams}`)
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  return data
+}
+
+// Cached full feature set: { data: { features, excluded, invalid }, fetchedAt, etag }
+const featureCache = createSnapshotCache({
+  name: 'features',
+  load: fetchAndRecordFeatures,
+  ttl: FEATURE_CACHE_TTL,
+  staleWhileRevalidate: FEATURE_CACHE_SWR,
+  filePath: process.env.FEATURE_CACHE_FILE || null
+})
+
+const cacheOptions = { ttl: FEATURE_CACHE_TTL, staleWhileRevalidate: FEATURE_CACHE_SWR }
+
+// Parse the feature filters from a query string, answering 400 for invalid values.
+// Returns null once a response has been sent.
+function parseFiltersOrRespond(req, res, next) {
+  try {
+    return parseFeatureFilters(req.query)
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      res.status(400).json({ error: error.message })
+    } else {
+      next(error)
     }
-    
-    const geojson = await response.json()
-    
-    if (!geojson.features) {
-      throw new Error('Invalid GeoJSON response')
+    return null
+  }
+}
+
+// Features matching the filters. Unfiltered requests and failed filtered queries are
+// answered from the cached full set, in which case `entry` is the cache entry they came from.
+async function loadFeatures(filters) {
+  if (!hasFilters(filters)) {
+    const entry = await featureCache.get()
+    return { features: entry.data.features, entry }
+  }
+
+  try {
+    const { features } = await fetchFeatures(filters)
+    return { features, entry: null }
+  } catch (error) {
+    // ArcGIS query failed: answer from the cached full set with the same filters
+    console.error('Filtered ArcGIS query failed, filtering cached features instead:', error)
+    const entry = await featureCache.get()
+    return { features: entry.data.features.filter(feature => matchesFilters(feature, filters)), entry }
+  }
+}
+
+// Download the spaces matching the same filters as /api/features
+// format: csv (default), geojson or xlsx
+app.get('/api/features/export', async (req, res, next) => {
+  const format = String(req.query.format || 'csv').toLowerCase()
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+  }
+
+  const filters = parseFiltersOrRespond(req, res, next)
+  if (!filters) return
+
+  try {
+    const { features, entry } = await loadFeatures(filters)
+    const { body, mimeType, extension } = exportFeatures(features, format)
+
+    if (entry) {
+      res.set('Last-Modified', new Date(entry.fetchedAt).toUTCString())
+      if (entry.stale) res.set('X-Data-Stale', 'true')
+    }
+    res.set('Cache-Control', 'no-cache')
+    res.attachment(exportFilename(extension, filters))
+    res.type(mimeType)
+    res.send(typeof body === 'string' ? body : Buffer.from(body))
+  } catch (error) {
+    console.error('Error exporting features:', error)
+    res.status(500).json({ error: 'Failed to export features' })
+  }
+})
+
+// API endpoint to proxy ArcGIS Feature Service 
+// Serves the last good snapshot (with X-Data-Stale / X-Data-Age headers) when ArcGIS is unavailable
+// Optional filters: city, neighborhood, type, bbox (minLon,minLat,maxLon,maxLat) and q (free text)
+app.get('/api/features', async (req, res, next) => {
+  const filters = parseFiltersOrRespond(req, res, next)
+  if (!filters) return
+
+  try {
+    const { features, entry } = await loadFeatures(filters)
+    const body = features.map(withoutAttributes)
+    if (entry) {
+      return sendSnapshot(req, res, entry, { ...cacheOptions, body })
     }
-    
-    res.json(geojson.features)
+    res.json(body)
   } catch (error) {
     console.error('Error fetching ArcGIS data:', error)
     res.status(500).json({ error: 'Failed to fetch data from ArcGIS service' })
   }
 })
 
+// Dated snapshots of the feature set, oldest first, with counts of the spaces
+// added, removed and changed since the snapshot before
+app.get('/api/history', async (req, res) => {
+  try {
+    const snapshots = await listSnapshots()
+    res.set('Cache-Control', 'no-cache')
+    res.json({ snapshots: snapshots.map(({ hash, ...entry }) => entry) })
+  } catch (error) {
+    console.error('Error listing history:', error)
+    res.status(500).json({ error: 'Failed to list snapshot history' })
+  }
+})
+
+// Read a YYYY-MM-DD query or route parameter, answering 400 when it's invalid.
+// Returns null once a response has been sent.
+function snapshotDateOrRespond(res, value, name) {
+  if (isCalendarDate(String(value || ''))) return String(value)
+  res.status(400).json({ error: `${name} must be a date like 2026-01-15` })
+  return null
+}
+
+// Spaces added, removed and changed between two snapshots: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/history/diff', async (req, res) => {
+  const from = snapshotDateOrRespond(res, req.query.from, 'from')
+  if (!from) return
+  const to = snapshotDateOrRespond(res, req.query.to, 'to')
+  if (!to) return
+
+  try {
+    const diff = await diffSnapshots(from, to)
+    if (!diff) {
+      return res.status(404).json({ error: `No snapshot for ${from} or ${to}` })
+    }
+    res.set('Cache-Control', `public, max-age=${FEATURE_CACHE_TTL}`)
+    res.json(diff)
+  } catch (error) {
+    console.error('Error comparing snapshots:', error)
+    res.status(500).json({ error: 'Failed to compare snapshots' })
+  }
+})
+
+// Snapshot features as /api/features sends them: older snapshots are normalized again
+// here, as the client can't without the raw attributes
+const currentSchemaFeatures = (features) => normalizeFeatures(features).features.map(withoutAttributes)
+
+// Spaces in earlier snapshots that are missing from the one on :date, with
+// lastSeen and lostOn dates in their properties
+app.get('/api/history/:date/lost', async (req, res) => {
+  const date = snapshotDateOrRespond(res, req.params.date, 'date')
+  if (!date) return
+
+  try {
+    const features = await lostSpaces(date)
+    if (!features) {
+      return res.status(404).json({ error: `No snapshot for ${date}` })
+    }
+    res.set('Cache-Control', `public, max-age=${FEATURE_CACHE_TTL}`)
+    res.json(currentSchemaFeatures(features).map((feature, index) => ({
+      ...feature,
+      properties: { ...feature.properties, lastSeen: features[index].properties.lastSeen, lostOn: features[index].properties.lostOn }
+    })))
+  } catch (error) {
+    console.error('Error listing lost spaces:', error)
+    res.status(500).json({ error: 'Failed to list lost spaces' })
+  }
+})
+
+// The feature set as it was on :date, in the same shape as /api/features
+app.get('/api/history/:date', async (req, res) => {
+  const date = snapshotDateOrRespond(res, req.params.date, 'date')
+  if (!date) return
+
+  try {
+    const snapshot = await loadHistorySnapshot(date)
+    if (!snapshot) {
+      return res.status(404).json({ error: `No snapshot for ${date}` })
+    }
+    res.set({
+      ETag: `"${snapshot.hash.slice(0, 20)}"`,
+      'Last-Modified': new Date(snapshot.takenAt).toUTCString(),
+      'Cache-Control': `public, max-age=${FEATURE_CACHE_TTL}`
+    })
+    if (req.fresh) return res.status(304).end()
+    res.json(currentSchemaFeatures(snapshot.features))
+  } catch (error) {
+    console.error(`Error loading the ${date} snapshot:`, error)
+    res.status(500).json({ error: 'Failed to load snapshot' })
+  }
+})
+
+// Massachusetts town polygons, simplified for the map zoom (omit zoom for full detail)
+// Optional towns=Boston,Cambridge limits the response to those towns
+app.get('/api/boundaries/towns', async (req, res) => {
+  const zoom = req.query.zoom === undefined ? Infinity : Number(req.query.zoom)
+  if (Number.isNaN(zoom)) {
+    return res.status(400).json({ error: 'zoom must be a number' })
+  }
+  const towns = String(req.query.towns || '').split(',').filter(town => town.trim())
+
+  try {
+    const collection = await townBoundaries({ zoom, towns })
+    res.set('Cache-Control', `public, max-age=${BOUNDARY_CACHE_TTL}`)
+    res.json(collection)
+  } catch (error) {
+    console.error('Error loading town boundaries:', error)
+    res.status(503).json({ error: 'Town boundaries are unavailable; run npm run boundaries:towns' })
+  }
+})
+
+// Simplified neighborhood polygons for a municipality in the registry (by id or name)
+// When ArcGIS is unavailable and nothing is cached, served from server/boundaries/<id>.geojson
+// if `npm run boundaries:snapshot` has saved one, else 503
+app.get('/api/boundaries/:city', async (req, res) => {
+  const municipality = getMunicipality(req.params.city)
+  if (!municipality?.neighborhoodServiceUrl) {
+    return res.status(404).json({ error: `No neighborhood boundaries for: ${req.params.city}` })
+  }
+
+  try {
+    const entry = await boundaryCache(municipality).get()
+    sendSnapshot(req, res, entry, { ttl: BOUNDARY_CACHE_TTL, staleWhileRevalidate: BOUNDARY_CACHE_SWR })
+  } catch (error) {
+    console.error(`Error fetching ${municipality.name} boundaries:`, error)
+    res.status(503).json({ error: `${municipality.name} boundaries are unavailable; run npm run boundaries:snapshot while ArcGIS is reachable` })
+  }
+})
+
+// Suggestions per IP address (default 5 an hour)
+const submissionLimiter = createRateLimiter({
+  max: Number(process.env.SUBMISSION_RATE_LIMIT) || 5,
+  windowSeconds: Number(process.env.SUBMISSION_RATE_WINDOW_SECONDS) || 3600,
+  message: 'Too many suggestions from this address; please try again later'
+})
+
+// Suggest a correction to a space ({ kind: 'edit', spaceId, fields, closed, note, contact })
+// or a missing one ({ kind: 'add', fields, coordinates, note, contact }); queued for moderation
+app.post('/api/submissions', submissionLimiter, async (req, res) => {
+  try {
+    // Only edits are checked against the map, so additions still queue when ArcGIS is down
+    const features = req.body?.kind === 'edit' ? (await featureCache.get()).data.features : []
+    const submission = await addSubmission(parseSubmission(req.body, features))
+    res.status(201).json({ id: submission.id, status: submission.status })
+  } catch (error) {
+    if (error instanceof SubmissionValidationError) {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error instanceof SubmissionQueueFullError) {
+      return res.status(503).json({ error: error.message })
+    }
+    console.error('Error saving submission:', error)
+    res.status(500).json({ error: 'Failed to save your suggestion' })
+  }
+})
+
+// Pass errors from an async handler to Express; Express 4 doesn't catch rejected promises
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next)
+}
+
+// Admin sign-in attempts per IP address
+const signInLimiter = createRateLimiter({
+  max: 10,
+  windowSeconds: 15 * 60,
+  message: 'Too many sign-in attempts; please try again later'
+})
+
+// The signed-in admin's name, role and permissions, or 401
+app.get('/api/admin/session', (req, res) => {
+  if (!adminEnabled()) {
+    return res.status(404).json({ error: 'Admin API is not enabled' })
+  }
+  const admin = currentAdmin(req)
+  if (!admin) {
+    return res.status(401).json({ error: 'Sign in required' })
+  }
+  res.set('Cache-Control', 'no-store')
+  res.json({ name: admin.name, role: admin.role, permissions: admin.permissions })
+})
+
+// Sign in with { name, password } from ADMIN_USERS; sets the session cookie
+app.post('/api/admin/session', signInLimiter, asyncRoute(async (req, res) => {
+  if (!adminEnabled()) {
+    return res.status(404).json({ error: 'Admin API is not enabled' })
+  }
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 100) : ''
+  const user = authenticate(name, req.body?.password)
+  if (!user) {
+    await recordAudit(req, 'sign-in-failed', { attemptedName: name })
+    return res.status(401).json({ error: 'Wrong name or password' })
+  }
+
+  setSessionCookie(req, res, user)
+  req.admin = user
+  await recordAudit(req, 'sign-in')
+  res.json({ ...user, permissions: ROLES[user.role] })
+}))
+
+app.delete('/api/admin/session', asyncRoute(async (req, res) => {
+  if (!adminEnabled()) {
+    return res.status(404).json({ error: 'Admin API is not enabled' })
+  }
+  req.admin = currentAdmin(req)
+  if (req.admin) await recordAudit(req, 'sign-out')
+  clearSessionCookie(req, res)
+  res.status(204).end()
+}))
+
+// Admin: upstream services, caches, snapshot history and the suggestion queue at a glance
+app.get('/api/admin/health', requirePermission('health'), asyncRoute(async (req, res) => {
+  try {
+    const [upstreams, snapshots, pending] = await Promise.all([
+      checkUpstreams(),
+      historyEnabled() ? listSnapshots() : [],
+      listSubmissions('pending')
+    ])
+    res.set('Cache-Control', 'no-store')
+    res.json({
+      checkedAt: new Date().toISOString(),
+      upstreams,
+      caches: [featureCache.status(), ...boundaryCacheStatuses()],
+      history: {
+        enabled: historyEnabled(),
+        snapshots: snapshots.length,
+        latest: snapshots[snapshots.length - 1]?.date || null
+      },
+      submissions: { pending: pending.length }
+    })
+  } catch (error) {
+    console.error('Error checking health:', error)
+    res.status(500).json({ error: 'Failed to check health' })
+  }
+}))
+
+// Admin: fetch the feature set from ArcGIS now rather than waiting for the cache to expire
+app.post('/api/admin/cache/refresh', requirePermission('cache'), asyncRoute(async (req, res) => {
+  try {
+    const { data, fetchedAt } = await featureCache.refresh()
+    const summary = {
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      features: data.features.length,
+      excluded: data.excluded.length,
+      invalid: data.invalid.length
+    }
+    await recordAudit(req, 'cache-refresh', summary)
+    res.json(summary)
+  } catch (error) {
+    console.error('Forced refresh of features failed:', error)
+    await recordAudit(req, 'cache-refresh-failed', { error: error.message })
+    res.status(502).json({ error: `Refresh failed: ${error.message}` })
+  }
+}))
+
+// Refresh in the background after the curation rules change, so the map reflects them
+function refreshAfterCurationChange() {
+  featureCache.refresh().catch(error => {
+    console.error('Refresh after a curation change failed:', error)
+  })
+}
+
+// Admin: list the features removed by curation rules and why
+app.get('/api/admin/exclusions', requirePermission('exclusions'), asyncRoute(async (req, res) => {
+  try {
+    const [entry, rules] = await Promise.all([featureCache.get(), loadCurationRules()])
+    res.set('Cache-Control', 'no-store')
+    res.json({
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      rules,
+      excluded: entry.data.excluded
+    })
+  } catch (error) {
+    console.error('Error listing exclusions:', error)
+    res.status(500).json({ error: 'Failed to list exclusions' })
+  }
+}))
+
+// Admin: add a curation rule ({ match, reason }, see server/curation.js)
+app.post('/api/admin/exclusions', requirePermission('exclusions'), asyncRoute(async (req, res) => {
+  try {
+    const rule = await addCurationRule(req.body)
+    await recordAudit(req, 'exclusion-add', { rule })
+    refreshAfterCurationChange()
+    res.status(201).json(rule)
+  } catch (error) {
+    if (error instanceof CurationRuleError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error adding a curation rule:', error)
+    res.status(500).json({ error: 'Failed to add the rule' })
+  }
+}))
+
+// Admin: remove a curation rule by id
+app.delete('/api/admin/exclusions/:ruleId', requirePermission('exclusions'), asyncRoute(async (req, res) => {
+  try {
+    const rule = await removeCurationRule(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ error: `No rule ${req.params.ruleId}` })
+    }
+    await recordAudit(req, 'exclusion-remove', { rule })
+    refreshAfterCurationChange()
+    res.json(rule)
+  } catch (error) {
+    console.error('Error removing a curation rule:', error)
+    res.status(500).json({ error: 'Failed to remove the rule' })
+  }
+}))
+
+// Admin: list features that failed schema validation
+app.get('/api/admin/validation', requirePermission('validation'), asyncRoute(async (req, res) => {
+  try {
+    const entry = await featureCache.get()
+    res.json({
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      invalid: entry.data.invalid
+    })
+  } catch (error) {
+    console.error('Error listing invalid features:', error)
+    res.status(500).json({ error: 'Failed to list invalid features' })
+  }
+}))
+
+// Moderation: suggestions with the given ?status= (pending by default, or all), newest
+// first, each with the current record and the changes it would still make
+app.get('/api/admin/submissions', requirePermission('submissions'), asyncRoute(async (req, res) => {
+  const status = String(req.query.status || 'pending')
+  if (status !== 'all' && !SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${[...SUBMISSION_STATUSES, 'all'].join(', ')}` })
+  }
+
+  try {
+    const [submissions, entry] = await Promise.all([
+      listSubmissions(status === 'all' ? null : status),
+      featureCache.get()
+    ])
+    res.set('Cache-Control', 'no-store')
+    res.json({ submissions: submissions.map(submission => withCurrentRecord(submission, entry.data.features)) })
+  } catch (error) {
+    console.error('Error listing submissions:', error)
+    res.status(500).json({ error: 'Failed to list submissions' })
+  }
+}))
+
+// Moderation: approve or reject a pending suggestion, with an optional { note }
+app.post('/api/admin/submissions/:id/:decision(approve|reject)', requirePermission('submissions'), asyncRoute(async (req, res) => {
+  const status = req.params.decision === 'approve' ? 'approved' : 'rejected'
+
+  try {
+    const result = await reviewSubmission(req.params.id, status, { note: req.body?.note, reviewer: req.admin.name })
+    if (!result) {
+      return res.status(404).json({ error: `No submission ${req.params.id}` })
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: `This suggestion was already ${result.conflict.status}` })
+    }
+    await recordAudit(req, `submission-${req.params.decision}`, { submissionId: result.id, kind: result.kind, spaceId: result.spaceId })
+    res.json(result)
+  } catch (error) {
+    if (error instanceof SubmissionValidationError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error reviewing submission:', error)
+    res.status(500).json({ error: 'Failed to review submission' })
+  }
+}))
+
+// Admin: the latest audit log entries, newest first (?limit=, default 100; ?action=, ?user=)
+app.get('/api/admin/audit', requirePermission('audit'), asyncRoute(async (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 1000' })
+  }
+
+  try {
+    const entries = await readAuditLog({
+      limit,
+      action: req.query.action ? String(req.query.action) : undefined,
+      user: req.query.user ? String(req.query.user) : undefined
+    })
+    res.set('Cache-Control', 'no-store')
+    res.json({ entries })
+  } catch (error) {
+    console.error('Error reading the audit log:', error)
+    res.status(500).json({ error: 'Failed to read the audit log' })
+  }
+}))
+
 // Serve static files from the dist directory (Vite build output)
 app.use(express.static(join(__dirname, 'dist')))
 
@@ -0,0 +1,199 @@
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+
+/**
+ * Admin authentication and roles.
+ *
+ * Users come from ADMIN_USERS, comma-separated `name:role:password` entries.
+ * The password is either plain text or a hash printed by
+ * `npm run admin:hash-password` (scrypt:<salt>:<hash>), which is safer to keep
+ * in config. MODERATION_PASSWORD, if set, adds a user named "moderator".
+ *
+ * Signing in sets a signed session cookie (see ADMIN_SESSION_SECRET and
+ * ADMIN_SESSION_HOURS). Scripts can instead send
+ * `Authorization: Bearer <ADMIN_TOKEN>`, which has the admin role.
+ */
+
+// What each role may do; routes check a permission rather than a role
+export const ROLES = {
+  admin: ['health', 'cache', 'exclusions', 'validation', 'submissions', 'audit'],
+  curator: ['health', 'cache', 'exclusions', 'validation'],
+  moderator: ['submissions']
+}
+
+const SESSION_COOKIE = 'admin_session'
+
+const sessionHours = () => Number(process.env.ADMIN_SESSION_HOURS) || 8
+
+const sameSecret = (a, b) => {
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB)
+}
+
+/** Hash a password for ADMIN_USERS: scrypt:<salt>:<hash>, base64url-encoded. */
+export function hashPassword(password) {
+  const salt = randomBytes(16)
+  return `scrypt:${salt.toString('base64url')}:${scryptSync(password, salt, 32).toString('base64url')}`
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split(':')
+  if (scheme === 'scrypt' && salt && hash) {
+    const expected = Buffer.from(hash, 'base64url')
+    const actual = scryptSync(password, Buffer.from(salt, 'base64url'), expected.length)
+    return timingSafeEqual(actual, expected)
+  }
+  return sameSecret(password, stored)
+}
+
+// Checked against when the user doesn't exist, so a wrong name takes as long as a wrong password
+const DUMMY_HASH = hashPassword(randomBytes(16).toString('hex'))
+
+// Parsed ADMIN_USERS (and MODERATION_PASSWORD), re-read when the environment changes
+let usersCache = { key: null, users: new Map() }
+
+function adminUsers() {
+  const key = `${process.env.ADMIN_USERS || ''}\n${process.env.MODERATION_PASSWORD || ''}`
+  if (usersCache.key === key) return usersCache.users
+
+  const users = new Map()
+  ;(process.env.ADMIN_USERS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, role, ...rest] = entry.split(':')
+    const password = rest.join(':')
+    if (!name || !ROLES[role] || !password) {
+      console.error(`Ignoring ADMIN_USERS entry for "${name || '?'}": expected name:role:password with role ${Object.keys(ROLES).join(', ')}`)
+      return
+    }
+    users.set(name, { name, role, password })
+  })
+  if (process.env.MODERATION_PASSWORD && !users.has('moderator')) {
+    users.set('moderator', { name: 'moderator', role: 'moderator', password: process.env.MODERATION_PASSWORD })
+  }
+
+  usersCache = { key, users }
+  return users
+}
+
+// Whether any way of signing in is configured; without one the admin routes answer 404
+export const adminEnabled = () => adminUsers().size > 0 || Boolean(process.env.ADMIN_TOKEN)
+
+/** The user ({ name, role }) with this name and password, or null. */
+export function authenticate(name, password) {
+  const user = typeof name === 'string' && adminUsers().get(name)
+  if (typeof password !== 'string' || !password) return null
+  const valid = verifyPassword(password, user ? user.password : DUMMY_HASH)
+  return user && valid ? { name: user.name, role: user.role } : null
+}
+
+// Without ADMIN_SESSION_SECRET, sessions are signed with a key that lasts until restart
+let generatedSecret = null
+
+function sessionSecret() {
+  if (process.env.ADMIN_SESSION_SECRET) return process.env.ADMIN_SESSION_SECRET
+  if (!generatedSecret) {
+    generatedSecret = randomBytes(32).toString('hex')
+    console.warn('ADMIN_SESSION_SECRET is not set; admin sessions will end when the server restarts')
+  }
+  return generatedSecret
+}
+
+const sign = (payload) => createHmac('sha256', sessionSecret()).update(payload).digest('base64url')
+
+// <base64url JSON { name, role, expires }>.<signature>
+function createSessionToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    name: user.name,
+    role: user.role,
+    expires: Date.now() + sessionHours() * 3600 * 1000
+  })).toString('base64url')
+  return `${payload}.${sign(payload)}`
+}
+
+function readSessionToken(token) {
+  const [payload, signature] = String(token || '').split('.')
+  if (!payload || !signature || !sameSecret(signature, sign(payload))) return null
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    if (!(session.expires > Date.now())) return null
+    // A user removed from ADMIN_USERS, or given another role, loses the old session
+    const user = adminUsers().get(session.name)
+    return user && user.role === session.role ? { name: user.name, role: user.role } : null
+  } catch {
+    return null
+  }
+}
+
+function readCookie(req, name) {
+  const cookies = (req.get('Cookie') || '').split(';')
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=')
+    if (key !== name) continue
+    // A malformed cookie is treated as no session
+    try {
+      return decodeURIComponent(value.join('='))
+    } catch {
+      return null
+    }
+  }
+  return null
+}
+
+const cookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: req.secure,
+  path: '/api'
+})
+
+/** Sign `user` in on this browser. */
+export function setSessionCookie(req, res, user) {
+  res.cookie(SESSION_COOKIE, createSessionToken(user), {
+    ...cookieOptions(req),
+    maxAge: sessionHours() * 3600 * 1000
+  })
+}
+
+export function clearSessionCookie(req, res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req))
+}
+
+const withPermissions = (user, via) => ({ ...user, permissions: ROLES[user.role], via })
+
+/**
+ * The signed-in admin for a request: { name, role, permissions, via }, where
+ * `via` is "session" or "token". null when not signed in.
+ */
+export function currentAdmin(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ')
+  if (scheme === 'Bearer' && token) {
+    const expected = process.env.ADMIN_TOKEN
+    return expected && sameSecret(token, expected) ? withPermissions({ name: 'token', role: 'admin' }, 'token') : null
+  }
+
+  const session = readSessionToken(readCookie(req, SESSION_COOKIE))
+  return session ? withPermissions(session, 'session') : null
+}
+
+/**
+ * Express middleware that lets through admins whose role has `permission`,
+ * setting req.admin. Answers 404 when no admin sign-in is configured, 401
+ * when not signed in and 403 when the role doesn't allow it.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!adminEnabled()) {
+      return res.status(404).json({ error: 'Admin API is not enabled' })
+    }
+
+    const admin = currentAdmin(req)
+    if (!admin) {
+      return res.status(401).json({ error: 'Sign in required' })
+    }
+    if (!admin.permissions.includes(permission)) {
+      return res.status(403).json({ error: `The ${admin.role} role can't do this` })
+    }
+
+    req.admin = admin
+    next()
+  }
+}
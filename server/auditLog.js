@@ -0,0 +1,62 @@
+import { appendFile, readFile, mkdir } from 'fs/promises'
+import { dirname } from 'path'
+import { fileURLToPath } from 'url'
+
+/**
+ * Append-only record of admin actions: one JSON object per line in
+ * data/audit.log (or AUDIT_LOG_FILE), shaped like
+ * { at, user, role, action, ip, ...details }.
+ */
+
+const DEFAULT_AUDIT_LOG_FILE = fileURLToPath(new URL('../data/audit.log', import.meta.url))
+
+const auditLogFile = () => process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE
+
+/**
+ * Record `action` by the request's admin (req.admin, or `user` in details
+ * for sign-in attempts). Failures are logged rather than thrown, so a full
+ * disk doesn't block the action itself.
+ */
+export async function recordAudit(req, action, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    user: req.admin?.name ?? null,
+    role: req.admin?.role ?? null,
+    action,
+    ip: req.ip,
+    ...details
+  }
+  try {
+    await mkdir(dirname(auditLogFile()), { recursive: true })
+    await appendFile(auditLogFile(), JSON.stringify(entry) + '\n')
+  } catch (error) {
+    console.error('Error writing the audit log:', error, entry)
+  }
+}
+
+/** The latest `limit` entries, newest first, optionally only for one action or user. */
+export async function readAuditLog({ limit = 100, action, user } = {}) {
+  let text
+  try {
+    text = await readFile(auditLogFile(), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const entries = []
+  const lines = text.split('\n')
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i]) continue
+    let entry
+    try {
+      entry = JSON.parse(lines[i])
+    } catch {
+      continue // a line cut short by a crash
+    }
+    if ((!action || entry.action === action) && (!user || entry.user === user)) {
+      entries.push(entry)
+    }
+  }
+  return entries
+}
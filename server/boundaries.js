@@ -0,0 +1,140 @@
+import { readFile } from 'fs/promises'
+import { fileURLToPath } from 'url'
+import { feature } from 'topojson-client'
+import { createSnapshotCache } from './snapshotCache.js'
+import { queryAllFeatures } from '../src/utils/arcgisQuery.js'
+import { simplifyGeometry } from '../src/utils/geometry.js'
+
+/**
+ * Boundaries served by the API:
+ *
+ * - Neighborhoods for each municipality in src/config/municipalities.js,
+ *   fetched from its ArcGIS service, simplified and cached by the server. When
+ *   the service can't be reached and nothing is cached, a snapshot saved in
+ *   server/boundaries/<id>.geojson by `npm run boundaries:snapshot` is served
+ *   instead. None are committed yet, so without ArcGIS the route answers 503.
+ * - Massachusetts towns, prebuilt at several levels of detail from
+ *   scripts/data/Massachusetts.geojson by `npm run boundaries:towns`.
+ */
+
+// Cache settings (seconds); boundaries rarely change
+export const BOUNDARY_CACHE_TTL = Number(process.env.BOUNDARY_CACHE_TTL_SECONDS) || 7 * 86400
+export const BOUNDARY_CACHE_SWR = Number(process.env.BOUNDARY_CACHE_SWR_SECONDS) || 30 * 86400
+
+// Douglas–Peucker tolerance in degrees; 0.00005° is roughly 5 m
+const SIMPLIFY_TOLERANCE = Number(process.env.BOUNDARY_SIMPLIFY_TOLERANCE) || 0.00005
+
+export const boundarySnapshotFile = (id) =>
+  fileURLToPath(new URL(`./boundaries/${id}.geojson`, import.meta.url))
+
+/**
+ * Fetch a municipality's neighborhood polygons and simplify their geometry.
+ * Attributes are passed through unchanged.
+ */
+export async function fetchBoundaries(municipality) {
+  const geojson = await queryAllFeatures(municipality.neighborhoodServiceUrl)
+  if (!geojson.features) {
+    throw new Error('Invalid GeoJSON response')
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: geojson.features.map(feature => ({
+      type: 'Feature',
+      properties: { ...feature.properties },
+      geometry: simplifyGeometry(feature.geometry, { tolerance: SIMPLIFY_TOLERANCE })
+    }))
+  }
+}
+
+async function loadSnapshot(municipality) {
+  const filePath = boundarySnapshotFile(municipality.id)
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`No boundary snapshot for ${municipality.name} (${filePath}): ${error.message}`)
+  }
+}
+
+const caches = new Map()
+
+// The snapshot cache for a municipality's boundaries, created on first use
+export function boundaryCache(municipality) {
+  if (!caches.has(municipality.id)) {
+    caches.set(municipality.id, createSnapshotCache({
+      name: `${municipality.id} boundaries`,
+      load: () => fetchBoundaries(municipality),
+      ttl: BOUNDARY_CACHE_TTL,
+      staleWhileRevalidate: BOUNDARY_CACHE_SWR,
+      fallback: () => loadSnapshot(municipality)
+    }))
+  }
+  return caches.get(municipality.id)
+}
+
+// State of the boundary caches created so far, for the admin health report
+export const boundaryCacheStatuses = () => [...caches.values()].map(cache => cache.status())
+
+/**
+ * Detail levels for the town boundaries, coarsest first. Each level is used up
+ * to `maxZoom` (null: any zoom); `minArea` is the Visvalingam threshold in
+ * square degrees used to simplify it (0 keeps every point).
+ */
+export const TOWN_LEVELS = [
+  { id: 'low', maxZoom: 8, minArea: 1e-5 },
+  { id: 'medium', maxZoom: 10, minArea: 1e-6 },
+  { id: 'high', maxZoom: null, minArea: 0 }
+]
+
+// Attributes kept on each town; the rest of the source's census columns are dropped
+export const TOWN_PROPERTIES = ['town', 'town_id', 'type', 'pop2010', 'sum_square']
+
+export const townLevelFile = (id) =>
+  fileURLToPath(new URL(`./boundaries/towns-${id}.topojson`, import.meta.url))
+
+// The detail level for a map zoom, with the zoom range it covers
+export function townLevelForZoom(zoom) {
+  const index = TOWN_LEVELS.findIndex(level => level.maxZoom === null || zoom <= level.maxZoom)
+  const level = TOWN_LEVELS[index]
+  return {
+    id: level.id,
+    minZoom: index > 0 ? TOWN_LEVELS[index - 1].maxZoom : null,
+    maxZoom: level.maxZoom
+  }
+}
+
+// Prebuilt levels only change on deploy, so each is decoded once
+const townLevels = new Map()
+
+// Decoded coordinates carry quantization noise in their last digits; 5 decimals is about 1 m
+async function loadTownLevel(id) {
+  const topology = JSON.parse(await readFile(townLevelFile(id), 'utf8'))
+  return feature(topology, topology.objects.towns).features.map(town => ({
+    ...town,
+    geometry: simplifyGeometry(town.geometry, { tolerance: 0, precision: 5 })
+  }))
+}
+
+/**
+ * Town polygons at the detail level for `zoom`, as a FeatureCollection with a
+ * `level` member ({ id, minZoom, maxZoom }). `towns` limits the result to
+ * those town names (case-insensitive); empty means every town.
+ */
+export async function townBoundaries({ zoom, towns = [] }) {
+  const level = townLevelForZoom(zoom)
+  if (!townLevels.has(level.id)) {
+    const pending = loadTownLevel(level.id)
+    townLevels.set(level.id, pending)
+    pending.catch(() => townLevels.delete(level.id))
+  }
+  const features = await townLevels.get(level.id)
+
+  const wanted = new Set(towns.map(town => town.trim().toUpperCase()))
+  return {
+    type: 'FeatureCollection',
+    level,
+    features: wanted.size > 0
+      ? features.filter(town => wanted.has(String(town.properties?.town || '').toUpperCase()))
+      : features
+  }
+}
@@ -0,0 +1,175 @@
+import { readFile, writeFile, rename } from 'fs/promises'
+import { fileURLToPath } from 'url'
+import { pickAttribute } from '../src/utils/featureSchema.js'
+
+/**
+ * Data curation: records we deliberately keep off the map.
+ *
+ * Rules live in a JSON file (server/curationRules.json, or CURATION_RULES_FILE)
+ * shaped like:
+ *
+ *   { "rules": [
+ *     { "id": "city-watertown", "match": { "city": "Watertown" }, "reason": "..." },
+ *     { "match": { "name": ["Salem", "Hingham"] } },
+ *     { "match": { "id": 42 } },
+ *     { "match": { "property": "status", "value": "Closed" } }
+ *   ] }
+ *
+ * Matching is case-insensitive and ignores surrounding whitespace. A rule may
+ * list several values; `reason` is optional and shown in the exclusions report.
+ * Rules can also be added and removed from the admin page, which rewrites the file.
+ */
+
+const DEFAULT_RULES_FILE = fileURLToPath(new URL('./curationRules.json', import.meta.url))
+
+export const curationRulesFile = () => process.env.CURATION_RULES_FILE || DEFAULT_RULES_FILE
+
+export async function loadCurationRules(filePath = curationRulesFile()) {
+  const { rules = [] } = JSON.parse(await readFile(filePath, 'utf8'))
+  if (!Array.isArray(rules)) {
+    throw new Error(`Curation rules in ${filePath} must be an array`)
+  }
+  return rules.map((rule, index) => ({ id: `rule-${index + 1}`, ...rule }))
+}
+
+const MAX_RULE_VALUES = 50
+const MAX_RULE_TEXT = 200
+
+export class CurationRuleError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'CurationRuleError'
+  }
+}
+
+function parseRuleText(name, value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new CurationRuleError(`"${name}" must be text`)
+  }
+  const text = String(value).trim()
+  if (!text || text.length > MAX_RULE_TEXT) {
+    throw new CurationRuleError(`"${name}" must be 1 to ${MAX_RULE_TEXT} characters`)
+  }
+  return text
+}
+
+function parseRuleValues(name, value) {
+  const values = Array.isArray(value) ? value : [value]
+  if (values.length === 0 || values.length > MAX_RULE_VALUES) {
+    throw new CurationRuleError(`"${name}" must list 1 to ${MAX_RULE_VALUES} values`)
+  }
+  const parsed = values.map(item => parseRuleText(name, item))
+  return parsed.length === 1 ? parsed[0] : parsed
+}
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+
+/**
+ * Validate a rule from the admin page: { match: { city | name | id: value or
+ * [values] } or { property, value }, reason }. Returns it with an id made
+ * from what it matches, unique among `rules`. Throws CurationRuleError.
+ */
+export function parseCurationRule(body, rules) {
+  const match = body?.match
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    throw new CurationRuleError('"match" must be an object')
+  }
+
+  const keys = ['city', 'name', 'id', 'property'].filter(key => key in match)
+  if (keys.length !== 1) {
+    throw new CurationRuleError('"match" must have exactly one of city, name, id or property')
+  }
+  const [key] = keys
+  const parsedMatch = key === 'property'
+    ? { property: parseRuleText('property', match.property), value: parseRuleValues('value', match.value) }
+    : { [key]: parseRuleValues(key, match[key]) }
+
+  const reason = body.reason === undefined || body.reason === '' ? undefined : parseRuleText('reason', body.reason)
+
+  const target = key === 'property' ? `${parsedMatch.property}-${[].concat(parsedMatch.value)[0]}` : [].concat(parsedMatch[key])[0]
+  const base = `${key === 'property' ? 'property' : key}-${slug(target) || 'rule'}`
+  let id = base
+  for (let n = 2; rules.some(rule => rule.id === id); n++) id = `${base}-${n}`
+
+  return { id, match: parsedMatch, ...(reason && { reason }) }
+}
+
+// Rules file changes are made one at a time
+let writing = Promise.resolve()
+
+function updateCurationRules(update, filePath = curationRulesFile()) {
+  const task = writing.then(async () => {
+    const rules = await loadCurationRules(filePath)
+    const { next, result } = update(rules)
+    if (next) {
+      // Write via a temporary file so the server never loads half a rules file
+      const temporary = `${filePath}.tmp`
+      await writeFile(temporary, JSON.stringify({ rules: next }, null, 2) + '\n')
+      await rename(temporary, filePath)
+    }
+    return result
+  })
+  writing = task.catch(() => {})
+  return task
+}
+
+/** Add a rule (see parseCurationRule) to the rules file; resolves to the saved rule. */
+export const addCurationRule = (body) => updateCurationRules(rules => {
+  const rule = parseCurationRule(body, rules)
+  return { next: [...rules, rule], result: rule }
+})
+
+/** Remove the rule with `id`; resolves to the removed rule, or null if there's none. */
+export const removeCurationRule = (id) => updateCurationRules(rules => {
+  const rule = rules.find(item => item.id === id)
+  return rule ? { next: rules.filter(item => item !== rule), result: rule } : { result: null }
+})
+
+const normalize = (value) => String(value ?? '').trim().toUpperCase()
+
+// The value a rule's match compares against; `property` looks at the raw attributes
+function ruleTarget(feature, match) {
+  const props = feature.properties || {}
+  if ('city' in match) return props.city
+  if ('name' in match) return props.name
+  if ('id' in match) return props.id
+  if ('property' in match) return pickAttribute(props.attributes, [match.property])
+  return undefined
+}
+
+function ruleMatches(rule, feature) {
+  const match = rule.match || {}
+  const expected = match.city ?? match.name ?? match.id ?? match.value
+  const target = ruleTarget(feature, match)
+  if (expected === undefined || target === undefined || target === null) return false
+
+  const values = Array.isArray(expected) ? expected : [expected]
+  return values.some(value => normalize(value) === normalize(target))
+}
+
+/**
+ * Split normalized features into those to publish and those excluded by a rule.
+ * Each exclusion records which rule removed it and why.
+ */
+export function applyCuration(features, rules) {
+  const kept = []
+  const excluded = []
+
+  features.forEach(feature => {
+    const rule = rules.find(r => ruleMatches(r, feature))
+    if (!rule) {
+      kept.push(feature)
+      return
+    }
+    const { id, name, city } = feature.properties
+    excluded.push({
+      id,
+      name,
+      city,
+      ruleId: rule.id,
+      reason: rule.reason || null
+    })
+  })
+
+  return { features: kept, excluded }
+}
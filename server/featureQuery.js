@@ -0,0 +1,123 @@
+import { CATEGORIES, CATEGORY_IDS, FALLBACK_CATEGORY, getCategory } from '../src/utils/taxonomy.js'
+
+// Attribute names in the Airtable-synced feature service
+const FIELDS = {
+  city: 'city',
+  neighborhood: 'neighborhood',
+  type: 'type',
+  name: 'name',
+  address: 'full_address'
+}
+
+const MAX_TEXT_LENGTH = 100
+
+// Letters, digits, spaces and the punctuation that shows up in names and addresses.
+// Notably excludes the LIKE wildcards % and _ and anything SQL-ish like ; or --
+const SAFE_TEXT = /^[\p{L}\p{N} .,'&()#/-]+$/u
+
+export class FilterValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'FilterValidationError'
+  }
+}
+
+function parseText(name, value) {
+  if (value === undefined || value === '') return undefined
+  if (typeof value !== 'string') {
+    throw new FilterValidationError(`"${name}" must be a single value`)
+  }
+  const text = value.trim()
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new FilterValidationError(`"${name}" must be at most ${MAX_TEXT_LENGTH} characters`)
+  }
+  if (text && (!SAFE_TEXT.test(text) || text.includes('--'))) {
+    throw new FilterValidationError(`"${name}" contains unsupported characters`)
+  }
+  return text || undefined
+}
+
+function parseBbox(value) {
+  if (value === undefined || value === '') return undefined
+  const parts = typeof value === 'string' ? value.split(',').map(Number) : []
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new FilterValidationError('"bbox" must be minLon,minLat,maxLon,maxLat')
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts
+  if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90 || minLon > maxLon || minLat > maxLat) {
+    throw new FilterValidationError('"bbox" is outside valid longitude/latitude ranges')
+  }
+  return parts
+}
+
+/**
+ * Validate the /api/features query string into a filters object.
+ * Throws FilterValidationError for anything we won't turn into a query.
+ */
+export function parseFeatureFilters(query) {
+  const type = parseText('type', query.type)?.toLowerCase()
+  if (type && !CATEGORY_IDS.includes(type)) {
+    throw new FilterValidationError(`"type" must be one of ${CATEGORY_IDS.join(', ')}`)
+  }
+
+  const filters = {
+    city: parseText('city', query.city),
+    neighborhood: parseText('neighborhood', query.neighborhood),
+    type,
+    bbox: parseBbox(query.bbox),
+    q: parseText('q', query.q)
+  }
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined))
+}
+
+export const hasFilters = (filters) => Object.keys(filters).length > 0
+
+// Escape a validated value for use inside a SQL string literal
+const escape = (text) => text.toUpperCase().replace(/'/g, "''")
+const literal = (text) => `'${escape(text)}'`
+const contains = (field, text) => `UPPER(${field}) LIKE '%${escape(text)}%'`
+const lacks = (field, text) => `UPPER(${field}) NOT LIKE '%${escape(text)}%'`
+
+// Spaces in a category have a type containing any of its keywords; the
+// fallback category is everything that matches no keyword at all
+function typeClause(type) {
+  if (type === FALLBACK_CATEGORY.id) {
+    const keywords = CATEGORIES.flatMap(category => category.keywords)
+    const matchesNone = keywords.map(keyword => lacks(FIELDS.type, keyword)).join(' AND ')
+    return `${FIELDS.type} IS NULL OR (${matchesNone})`
+  }
+  return getCategory(type).keywords.map(keyword => contains(FIELDS.type, keyword)).join(' OR ')
+}
+
+/**
+ * Turn validated filters into ArcGIS query parameters: a `where` clause plus
+ * envelope geometry parameters when a bbox is given.
+ */
+export function buildArcGISQuery(filters) {
+  const clauses = []
+
+  if (filters.city) clauses.push(`UPPER(${FIELDS.city}) = ${literal(filters.city)}`)
+  if (filters.neighborhood) clauses.push(`UPPER(${FIELDS.neighborhood}) = ${literal(filters.neighborhood)}`)
+  if (filters.type) clauses.push(`(${typeClause(filters.type)})`)
+  if (filters.q) {
+    const fields = [FIELDS.name, FIELDS.address, FIELDS.neighborhood]
+    clauses.push(`(${fields.map(field => contains(field, filters.q)).join(' OR ')})`)
+  }
+
+  const params = {}
+  if (filters.bbox) {
+    const [xmin, ymin, xmax, ymax] = filters.bbox
+    Object.assign(params, {
+      geometry: JSON.stringify({ xmin, ymin, xmax, ymax, spatialReference: { wkid: 4326 } }),
+      geometryType: 'esriGeometryEnvelope',
+      inSR: '4326',
+      spatialRel: 'esriSpatialRelIntersects'
+    })
+  }
+
+  return {
+    where: clauses.length ? clauses.join(' AND ') : '1=1',
+    params
+  }
+}
@@ -0,0 +1,35 @@
+import { MUNICIPALITIES } from '../src/config/municipalities.js'
+
+/**
+ * Reachability of the ArcGIS services the map depends on, for the admin page.
+ */
+
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 5000
+
+// Ask a service for its metadata: { name, ok, status, latencyMs, error }
+async function checkService(name, url) {
+  const started = Date.now()
+  if (!url) return { name, ok: false, status: null, latencyMs: null, error: 'Not configured' }
+
+  try {
+    const response = await fetch(`${url}?f=json`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) })
+    const json = await response.json().catch(() => null)
+    const error = !response.ok
+      ? `HTTP ${response.status}`
+      : json?.error ? json.error.message || 'ArcGIS error' : null
+    return { name, ok: !error, status: response.status, latencyMs: Date.now() - started, error }
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `No answer within ${HEALTH_TIMEOUT_MS / 1000}s` : error.message
+    return { name, ok: false, status: null, latencyMs: Date.now() - started, error: message }
+  }
+}
+
+/** Check the feature service and every municipality's neighborhood service in parallel. */
+export function checkUpstreams() {
+  return Promise.all([
+    checkService('Feature service', process.env.VITE_FEATURE_SERVICE_URL),
+    ...MUNICIPALITIES
+      .filter(municipality => municipality.neighborhoodServiceUrl)
+      .map(municipality => checkService(`${municipality.name} neighborhoods`, municipality.neighborhoodServiceUrl))
+  ])
+}
@@ -0,0 +1,181 @@
+import { createHash } from 'crypto'
+import { readFile, writeFile, readdir, mkdir, rename } from 'fs/promises'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+import { diffFeatures } from '../src/utils/featureDiff.js'
+import { isCalendarDate } from '../src/utils/dates.js'
+
+/**
+ * Dated snapshots of the published feature set, so the app can show how the
+ * map has changed: which spaces opened, closed or were lost.
+ *
+ * Each snapshot is data/history/<YYYY-MM-DD>.json (or HISTORY_DIR), holding
+ * the features as /api/features served them that day. A new snapshot is only
+ * written when the features differ from the latest one, and a later change on
+ * the same day replaces that day's file. index.json lists the snapshots with
+ * their counts of added, removed and changed spaces.
+ */
+
+const DEFAULT_HISTORY_DIR = fileURLToPath(new URL('../data/history', import.meta.url))
+
+export const historyDir = () => process.env.HISTORY_DIR || DEFAULT_HISTORY_DIR
+
+export const historyEnabled = () => process.env.HISTORY_ENABLED !== 'false'
+
+const snapshotFile = (date) => join(historyDir(), `${date}.json`)
+const indexFile = () => join(historyDir(), 'index.json')
+
+const hashFeatures = (features) =>
+  createHash('sha1').update(JSON.stringify(features)).digest('hex')
+
+// Write via a temporary file so readers never see half a snapshot
+async function writeJSON(filePath, value) {
+  await mkdir(historyDir(), { recursive: true })
+  const temporary = `${filePath}.tmp`
+  await writeFile(temporary, JSON.stringify(value))
+  await rename(temporary, filePath)
+}
+
+const summarize = ({ date, takenAt, hash, features }, diff) => ({
+  date,
+  takenAt,
+  hash,
+  count: features.length,
+  added: diff ? diff.added.length : features.length,
+  removed: diff ? diff.removed.length : 0,
+  changed: diff ? diff.changed.length : 0
+})
+
+// Rebuild the index from the snapshot files, e.g. after copying some in by hand
+async function rebuildIndex() {
+  let names
+  try {
+    names = await readdir(historyDir())
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const dates = names
+    .filter(name => name.endsWith('.json') && isCalendarDate(name.slice(0, -5)))
+    .map(name => name.slice(0, -5))
+    .sort()
+
+  const index = []
+  let previous = null
+  for (const date of dates) {
+    const snapshot = await loadHistorySnapshot(date)
+    index.push(summarize(snapshot, previous && diffFeatures(previous.features, snapshot.features)))
+    previous = snapshot
+  }
+  if (index.length > 0) await writeJSON(indexFile(), index)
+  return index
+}
+
+/**
+ * The saved snapshots, oldest first:
+ * [{ date, takenAt, count, added, removed, changed }], where the counts
+ * compare each snapshot with the one before it.
+ */
+export async function listSnapshots() {
+  try {
+    return JSON.parse(await readFile(indexFile(), 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading the history index, rebuilding it:', error)
+    }
+    return rebuildIndex()
+  }
+}
+
+// A saved snapshot ({ date, takenAt, hash, features }), or null if there is none for the date
+export async function loadHistorySnapshot(date) {
+  if (!isCalendarDate(date)) return null
+  try {
+    return JSON.parse(await readFile(snapshotFile(date), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// Snapshots are written one at a time
+let writing = Promise.resolve()
+
+/**
+ * Save today's snapshot of `features` if they differ from the latest one.
+ * Returns the snapshot's index entry, or null when nothing changed.
+ */
+export function recordSnapshot(features, takenAt = new Date()) {
+  const task = writing.then(async () => {
+    const hash = hashFeatures(features)
+    const index = await listSnapshots()
+    const latest = index[index.length - 1]
+    if (latest?.hash === hash) return null
+
+    const date = takenAt.toISOString().slice(0, 10)
+    const earlier = index.filter(entry => entry.date < date)
+    const previousEntry = earlier[earlier.length - 1]
+    const previous = previousEntry && await loadHistorySnapshot(previousEntry.date)
+
+    const snapshot = { date, takenAt: takenAt.toISOString(), hash, features }
+    const entry = summarize(snapshot, previous && diffFeatures(previous.features, features))
+    await writeJSON(snapshotFile(date), snapshot)
+    await writeJSON(indexFile(), [...earlier, entry])
+    lostCache.clear()
+    return entry
+  })
+  writing = task.catch(() => {})
+  return task
+}
+
+/**
+ * Spaces added, removed and changed between two saved snapshots, or null if
+ * either is missing.
+ */
+export async function diffSnapshots(from, to) {
+  const [before, after] = await Promise.all([loadHistorySnapshot(from), loadHistorySnapshot(to)])
+  if (!before || !after) return null
+  return { from, to, ...diffFeatures(before.features, after.features) }
+}
+
+// Lost spaces per snapshot date; cleared when a snapshot is recorded
+const lostCache = new Map()
+
+/**
+ * Spaces that were on the map in an earlier snapshot and are missing from
+ * the one on `date`: each is returned as last seen, with `lastSeen` (the last
+ * snapshot it was in) and `lostOn` (the first one it was missing from) added
+ * to its properties. Spaces that disappeared and came back aren't lost.
+ * Returns null if there's no snapshot on `date`.
+ */
+export async function lostSpaces(date) {
+  if (lostCache.has(date)) return lostCache.get(date)
+
+  const index = await listSnapshots()
+  if (!index.some(entry => entry.date === date)) return null
+
+  let present = new Map()
+  let previousDate = null
+  const lost = new Map()
+  for (const entry of index.filter(item => item.date <= date)) {
+    const snapshot = await loadHistorySnapshot(entry.date)
+    if (!snapshot) continue
+    const current = new Map(
+      snapshot.features.filter(feature => feature.properties?.id).map(feature => [feature.properties.id, feature])
+    )
+    present.forEach((feature, id) => {
+      if (!current.has(id)) lost.set(id, { feature, lastSeen: previousDate, lostOn: entry.date })
+    })
+    current.forEach((feature, id) => lost.delete(id))
+    present = current
+    previousDate = entry.date
+  }
+
+  const features = [...lost.values()].map(({ feature, lastSeen, lostOn }) => ({
+    ...feature,
+    properties: { ...feature.properties, lastSeen, lostOn }
+  }))
+  lostCache.set(date, features)
+  return features
+}
@@ -0,0 +1,42 @@
+/**
+ * Express middleware allowing each client IP `max` requests per window of
+ * `windowSeconds`, answering 429 with Retry-After beyond that.
+ *
+ * Counts are kept in memory, so they reset when the server restarts and
+ * aren't shared between processes. Behind a proxy, set TRUST_PROXY so
+ * req.ip is the client's address rather than the proxy's.
+ */
+export function createRateLimiter({ max, windowSeconds, message = 'Too many requests; please try again later' }) {
+  const windowMs = windowSeconds * 1000
+  // ip -> { count, resetAt }
+  const clients = new Map()
+
+  const prune = (now) => {
+    clients.forEach((client, ip) => {
+      if (client.resetAt <= now) clients.delete(ip)
+    })
+  }
+
+  return (req, res, next) => {
+    const now = Date.now()
+    if (clients.size > 10000) prune(now)
+
+    let client = clients.get(req.ip)
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + windowMs }
+      clients.set(req.ip, client)
+    }
+    client.count += 1
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - client.count)),
+      'RateLimit-Reset': String(Math.ceil((client.resetAt - now) / 1000))
+    })
+    if (client.count > max) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)))
+      return res.status(429).json({ error: message })
+    }
+    next()
+  }
+}
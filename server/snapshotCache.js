@@ -0,0 +1,153 @@
+import { createHash } from 'crypto'
+import { readFile, writeFile, mkdir } from 'fs/promises'
+import { dirname } from 'path'
+
+/**
+ * Cache the result of an upstream fetch in memory, optionally mirrored to disk.
+ *
+ * - Younger than `ttl` seconds: served as-is.
+ * - Within a further `staleWhileRevalidate` seconds: served as-is while a
+ *   refresh runs in the background.
+ * - Older: the caller waits for a refresh. If that refresh fails, the last
+ *   good snapshot is served with `stale: true` instead of an error.
+ *
+ * `fallback`, if given, supplies data (e.g. a snapshot shipped with the repo)
+ * when a refresh fails and there is nothing cached yet. It is served as stale
+ * and counts as already expired, so the next request retries upstream in the
+ * background.
+ */
+export function createSnapshotCache({ name, load, ttl, staleWhileRevalidate = 0, filePath = null, fallback = null }) {
+  let snapshot = null
+  let pending = null
+  let lastError = null
+
+  const restored = restoreFromDisk()
+
+  // Load the snapshot saved by a previous run so a cold start can still serve data
+  async function restoreFromDisk() {
+    if (!filePath) return
+    try {
+      const saved = JSON.parse(await readFile(filePath, 'utf8'))
+      if (saved?.fetchedAt && saved.data !== undefined && !snapshot) {
+        snapshot = saved
+        console.log(`Restored ${name} cache from ${filePath}`)
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${name} cache file:`, error)
+      }
+    }
+  }
+
+  async function saveToDisk() {
+    if (!filePath) return
+    try {
+      await mkdir(dirname(filePath), { recursive: true })
+      await writeFile(filePath, JSON.stringify(snapshot))
+    } catch (error) {
+      console.error(`Error writing ${name} cache file:`, error)
+    }
+  }
+
+  // Fetch from upstream; concurrent callers share one in-flight request
+  function refresh() {
+    if (!pending) {
+      pending = (async () => {
+        try {
+          const data = await load()
+          snapshot = { data, fetchedAt: Date.now(), etag: computeEtag(data) }
+          lastError = null
+          await saveToDisk()
+          return snapshot
+        } catch (error) {
+          lastError = { message: error.message, at: Date.now() }
+          throw error
+        } finally {
+          pending = null
+        }
+      })()
+    }
+    return pending
+  }
+
+  function describe(entry, stale) {
+    return {
+      ...entry,
+      age: Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000)),
+      stale
+    }
+  }
+
+  async function get() {
+    await restored
+
+    const age = snapshot ? (Date.now() - snapshot.fetchedAt) / 1000 : Infinity
+    if (age < ttl) {
+      return describe(snapshot, false)
+    }
+    if (age < ttl + staleWhileRevalidate) {
+      refresh().catch(error => {
+        console.error(`Background refresh of ${name} failed:`, error)
+      })
+      return describe(snapshot, Boolean(lastError))
+    }
+
+    try {
+      return describe(await refresh(), false)
+    } catch (error) {
+      if (!snapshot && fallback) {
+        const data = await fallback()
+        snapshot = { data, fetchedAt: Date.now() - ttl * 1000, etag: computeEtag(data) }
+        console.error(`Refresh of ${name} failed, serving fallback data:`, error)
+        return describe(snapshot, true)
+      }
+      if (!snapshot) throw error
+      console.error(`Refresh of ${name} failed, serving snapshot from ${new Date(snapshot.fetchedAt).toISOString()}:`, error)
+      return describe(snapshot, true)
+    }
+  }
+
+  // Current cache state without triggering a fetch
+  function status() {
+    return {
+      name,
+      hasSnapshot: Boolean(snapshot),
+      fetchedAt: snapshot ? new Date(snapshot.fetchedAt).toISOString() : null,
+      refreshing: Boolean(pending),
+      lastError
+    }
+  }
+
+  return { get, refresh, status }
+}
+
+function computeEtag(data) {
+  const hash = createHash('sha1').update(JSON.stringify(data)).digest('hex')
+  return `"${hash.slice(0, 20)}"`
+}
+
+/**
+ * Send a cache entry with validators so browsers can revalidate cheaply.
+ * Answers 304 when the client's If-None-Match / If-Modified-Since still match.
+ */
+export function sendSnapshot(req, res, entry, { ttl, staleWhileRevalidate = 0, body = entry.data }) {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': new Date(entry.fetchedAt).toUTCString(),
+    'X-Data-Age': String(entry.age)
+  })
+
+  if (entry.stale) {
+    // Upstream is failing: make browsers check back instead of holding the old copy
+    res.set('Cache-Control', 'no-cache')
+    res.set('X-Data-Stale', 'true')
+  } else {
+    res.set('Cache-Control', `public, max-age=${ttl}, stale-while-revalidate=${staleWhileRevalidate}`)
+  }
+
+  if (req.fresh) {
+    return res.status(304).end()
+  }
+
+  res.json(body)
+}
@@ -0,0 +1,288 @@
+import { randomUUID } from 'crypto'
+import { readFile, writeFile, mkdir, rename } from 'fs/promises'
+import { dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { diffFeatures } from '../src/utils/featureDiff.js'
+
+/**
+ * Community suggestions: corrections to a space on the map ("edit") and
+ * spaces we're missing ("add"), queued for a moderator to approve or reject.
+ *
+ * The queue is data/submissions.json (or SUBMISSIONS_FILE), a JSON array of
+ * submissions, oldest first. Approving a suggestion records the decision; the
+ * change itself is still made in Airtable, which the map is published from.
+ */
+
+const DEFAULT_SUBMISSIONS_FILE = fileURLToPath(new URL('../data/submissions.json', import.meta.url))
+
+const submissionsFile = () => process.env.SUBMISSIONS_FILE || DEFAULT_SUBMISSIONS_FILE
+
+// Fields a submission can propose, with their maximum lengths
+export const SUBMISSION_FIELDS = {
+  name: 200,
+  type: 100,
+  city: 100,
+  neighborhood: 100,
+  address: 300,
+  url: 500
+}
+
+const MAX_NOTE_LENGTH = 1000
+const MAX_CONTACT_LENGTH = 200
+const MAX_ID_LENGTH = 100
+
+// Stop accepting suggestions once this many are waiting, so the file can't grow without bound
+const MAX_PENDING = Number(process.env.SUBMISSIONS_MAX_PENDING) || 500
+
+export const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected']
+
+export class SubmissionValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SubmissionValidationError'
+  }
+}
+
+export class SubmissionQueueFullError extends Error {
+  constructor() {
+    super('Too many suggestions are waiting for review; please try again later')
+    this.name = 'SubmissionQueueFullError'
+  }
+}
+
+function parseText(name, value, maxLength) {
+  if (value === undefined || value === null) return undefined
+  if (typeof value !== 'string') {
+    throw new SubmissionValidationError(`"${name}" must be text`)
+  }
+  const text = value.trim()
+  if (text.length > maxLength) {
+    throw new SubmissionValidationError(`"${name}" must be at most ${maxLength} characters`)
+  }
+  return text || undefined
+}
+
+// A web address as the URL parser writes it, e.g. with the trailing slash after the host
+function normalizeUrl(text) {
+  try {
+    return new URL(text).href
+  } catch {
+    return text
+  }
+}
+
+function parseUrl(value) {
+  const text = parseText('url', value, SUBMISSION_FIELDS.url)
+  if (!text) return undefined
+  let url
+  try {
+    url = new URL(text)
+  } catch {
+    throw new SubmissionValidationError('"url" must be a web address starting with http:// or https://')
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new SubmissionValidationError('"url" must be a web address starting with http:// or https://')
+  }
+  return url.href
+}
+
+function parseCoordinates(value) {
+  if (value === undefined || value === null) return undefined
+  const valid = Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90
+  if (!valid) {
+    throw new SubmissionValidationError('"coordinates" must be [longitude, latitude]')
+  }
+  return value.map(number => Number(number.toFixed(6)))
+}
+
+function parseFields(value) {
+  if (value === undefined || value === null) return {}
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new SubmissionValidationError('"fields" must be an object')
+  }
+  const unknown = Object.keys(value).filter(key => !(key in SUBMISSION_FIELDS))
+  if (unknown.length > 0) {
+    throw new SubmissionValidationError(`Unknown field(s): ${unknown.join(', ')}`)
+  }
+  const fields = {}
+  Object.entries(SUBMISSION_FIELDS).forEach(([field, maxLength]) => {
+    const text = field === 'url' ? parseUrl(value.url) : parseText(field, value[field], maxLength)
+    if (text !== undefined) fields[field] = text
+  })
+  return fields
+}
+
+/**
+ * Validate a POST /api/submissions body against the current features.
+ * An edit names an existing space and proposes at least one different value,
+ * reports it closed or leaves a note; an addition needs a name and an address
+ * or a location. Returns the fields to store; throws SubmissionValidationError.
+ */
+export function parseSubmission(body, features) {
+  if (!body || typeof body !== 'object') {
+    throw new SubmissionValidationError('Expected a JSON object')
+  }
+  const kind = body.kind
+  if (kind !== 'edit' && kind !== 'add') {
+    throw new SubmissionValidationError('"kind" must be "edit" or "add"')
+  }
+
+  const fields = parseFields(body.fields)
+  const coordinates = parseCoordinates(body.coordinates)
+  const note = parseText('note', body.note, MAX_NOTE_LENGTH)
+  const contact = parseText('contact', body.contact, MAX_CONTACT_LENGTH)
+  const closed = body.closed === true
+
+  if (kind === 'add') {
+    if (!fields.name) {
+      throw new SubmissionValidationError('A new space needs a name')
+    }
+    if (!fields.address && !coordinates) {
+      throw new SubmissionValidationError('A new space needs an address or a location on the map')
+    }
+    return { kind, changes: fields, coordinates, note, contact }
+  }
+
+  const spaceId = parseText('spaceId', body.spaceId == null ? body.spaceId : String(body.spaceId), MAX_ID_LENGTH)
+  const current = spaceId && features.find(feature => String(feature.properties.id) === spaceId)
+  if (!current) {
+    throw new SubmissionValidationError('"spaceId" must be a space on the map')
+  }
+
+  // Keep only the values that differ from the record, comparing web addresses
+  // the way parseUrl writes them
+  const recorded = (field) => {
+    const value = current.properties[field] ?? ''
+    return field === 'url' && value ? normalizeUrl(String(value).trim()) : value
+  }
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(([field, text]) => text !== recorded(field))
+  )
+  const moved = coordinates && proposedDiff(current, { changes: {}, coordinates }).length > 0
+  if (Object.keys(changes).length === 0 && !moved && !closed && !note) {
+    throw new SubmissionValidationError('Suggest at least one change, report the space closed or leave a note')
+  }
+
+  return {
+    kind,
+    spaceId,
+    spaceName: current.properties.name || '',
+    changes,
+    coordinates: moved ? coordinates : undefined,
+    closed,
+    note,
+    contact
+  }
+}
+
+// The record's fields that a submission would change: [{ field, before, after }]
+function proposedDiff(current, { changes, coordinates }) {
+  const proposed = {
+    ...current,
+    properties: { ...current.properties, ...changes, ...(coordinates && { coordinates }) }
+  }
+  return diffFeatures([current], [proposed]).changed[0]?.changes || []
+}
+
+/**
+ * A submission with the record it's about as it is now: `current` is the
+ * space (null for additions, or when it has left the map) and `diff` lists
+ * [{ field, before, after }] for the values it would still change.
+ */
+export function withCurrentRecord(submission, features) {
+  if (submission.kind !== 'edit') {
+    return { ...submission, current: null, diff: [] }
+  }
+  const current = features.find(feature => String(feature.properties.id) === submission.spaceId) || null
+  return {
+    ...submission,
+    current,
+    diff: current ? proposedDiff(current, submission) : []
+  }
+}
+
+async function readQueue() {
+  try {
+    return JSON.parse(await readFile(submissionsFile(), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
+
+// Write via a temporary file so a crash never leaves half a queue
+async function writeQueue(submissions) {
+  const filePath = submissionsFile()
+  await mkdir(dirname(filePath), { recursive: true })
+  const temporary = `${filePath}.tmp`
+  await writeFile(temporary, JSON.stringify(submissions, null, 2))
+  await rename(temporary, filePath)
+}
+
+// Changes to the queue are made one at a time
+let writing = Promise.resolve()
+
+function updateQueue(update) {
+  const task = writing.then(async () => {
+    const submissions = await readQueue()
+    const { next, result } = update(submissions)
+    if (next) await writeQueue(next)
+    return result
+  })
+  writing = task.catch(() => {})
+  return task
+}
+
+// Submissions with the given status (or all of them), newest first
+export async function listSubmissions(status) {
+  const submissions = await readQueue()
+  return submissions
+    .filter(submission => !status || submission.status === status)
+    .reverse()
+}
+
+/**
+ * Queue a parsed submission (see parseSubmission) for review.
+ * Throws SubmissionQueueFullError when MAX_PENDING are already waiting.
+ */
+export function addSubmission(parsed, submittedAt = new Date()) {
+  return updateQueue(submissions => {
+    const pending = submissions.filter(submission => submission.status === 'pending').length
+    if (pending >= MAX_PENDING) throw new SubmissionQueueFullError()
+
+    const submission = {
+      id: randomUUID(),
+      ...parsed,
+      status: 'pending',
+      submittedAt: submittedAt.toISOString()
+    }
+    return { next: [...submissions, submission], result: submission }
+  })
+}
+
+/**
+ * Approve or reject a pending submission on behalf of `reviewer` (an admin
+ * user name). Returns the updated submission, { conflict } if it was already
+ * reviewed, or null if there's no such id.
+ */
+export function reviewSubmission(id, status, { note, reviewer } = {}, reviewedAt = new Date()) {
+  return updateQueue(submissions => {
+    const index = submissions.findIndex(submission => submission.id === id)
+    if (index === -1) return { result: null }
+    if (submissions[index].status !== 'pending') {
+      return { result: { conflict: submissions[index] } }
+    }
+
+    const reviewed = {
+      ...submissions[index],
+      status,
+      reviewedAt: reviewedAt.toISOString(),
+      reviewedBy: reviewer || null,
+      reviewNote: parseText('note', note, MAX_NOTE_LENGTH)
+    }
+    const next = [...submissions]
+    next[index] = reviewed
+    return { next, result: reviewed }
+  })
+}
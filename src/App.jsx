@@ -1,33 +1,177 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { useSearchParams, useNavigationType } from 'react-router-dom'
 import Map from './components/Map'
 import MetricsPanel from './components/MetricsPanel'
+import DataTable from './components/DataTable'
+import Timeline from './components/Timeline'
+import SuggestionForm from './components/SuggestionForm'
 import { fetchFeatureServiceData } from './utils/arcgis'
+import { matchesFilters } from './utils/featureFilters'
+import { parseUrlState, updateSearchParams } from './utils/urlState'
+import { loadTownBoundaries, loadNeighborhoodBoundaries, assignBoundaries, officialNeighborhoods } from './utils/boundaries'
+import { spacesWithin, gazetteerPlaces } from './utils/proximity'
+import { METERS_PER_MILE, featuresBounds, fitBounds } from './utils/geometry'
+import { loadSavedAreas, storeSavedAreas, namedArea, inStudyArea, areasToGeoJSON, areaFilename } from './utils/studyAreas'
+import { downloadFile } from './utils/download'
+import { fetchHistory, fetchSnapshotFeatures, fetchLostSpaces } from './utils/history'
+import { verifiedWithin, freshnessSummary, FRESH_MONTHS } from './utils/freshness'
+import { MUNICIPALITIES, municipalityNames } from './config/municipalities'
 import './App.css'
 
 function App() {
-  const [data, setData] = useState([])
+  const [features, setFeatures] = useState([])
   const [loading, setLoading] = useState(true)
-  const [selectedCity, setSelectedCity] = useState('')
-  const [selectedNeighborhood, setSelectedNeighborhood] = useState('')
-  const [selectedType, setSelectedType] = useState('')
-  const [selectedTableRow, setSelectedTableRow] = useState(null)
+  const [dataStatus, setDataStatus] = useState(null)
+  const [boundaries, setBoundaries] = useState({ towns: null, neighborhoods: {} })
+  const [townsLoading, setTownsLoading] = useState(true)
+  const [neighborhoodsLoading, setNeighborhoodsLoading] = useState(true)
+
+  // Filters, selected space, map view and basemap live in the URL so views can be shared
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigationType = useNavigationType()
+  const urlState = useMemo(() => parseUrlState(searchParams), [searchParams])
+  const {
+    city: selectedCity,
+    neighborhood: selectedNeighborhood,
+    type: selectedType,
+    space: selectedSpaceId,
+    near,
+    within,
+    place,
+    asof: snapshotDate,
+    verified: verifiedMonths
+  } = urlState
+
+  const updateUrl = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams(prev => updateSearchParams(prev, changes), { replace })
+  }, [setSearchParams])
+
+  const setSelectedCity = useCallback(city => updateUrl({ city }), [updateUrl])
+  const setSelectedNeighborhood = useCallback(neighborhood => updateUrl({ neighborhood }), [updateUrl])
+  const setSelectedType = useCallback(type => updateUrl({ type }), [updateUrl])
+  const setVerifiedMonths = useCallback(verified => updateUrl({ verified }), [updateUrl])
+  const setSelectedTableRow = useCallback(feature => {
+    updateUrl({ space: feature?.properties?.id })
+  }, [updateUrl])
+  const setMapView = useCallback(view => updateUrl({ view }, { replace: true }), [updateUrl])
+  const setMapStyle = useCallback(style => updateUrl({ style }), [updateUrl])
+
+  // A map click can pick a point for the proximity search or for a suggested space:
+  // `pickingPoint` is 'proximity', 'suggestion' or null
+  const [pickingPoint, setPickingPoint] = useState(null)
+
+  // Community suggestions: { kind: 'edit', feature } for a correction, or
+  // { kind: 'add', coordinates } for a missing space
+  const [suggestion, setSuggestion] = useState(null)
+  const suggestEdit = useCallback(feature => setSuggestion({ kind: 'edit', feature }), [])
+  const suggestSpace = useCallback(() => setSuggestion({ kind: 'add', coordinates: null }), [])
+  const closeSuggestion = useCallback(() => {
+    setSuggestion(null)
+    setPickingPoint(prev => prev === 'suggestion' ? null : prev)
+  }, [])
+
+  // Proximity search: the center comes from the gazetteer, typed coordinates or a map click
+  const setProximity = useCallback(changes => updateUrl(changes), [updateUrl])
+  const clearProximity = useCallback(() => {
+    setPickingPoint(prev => prev === 'proximity' ? null : prev)
+    updateUrl({ near: null, place: '' })
+  }, [updateUrl])
+  const pickPoint = useCallback(coordinates => {
+    if (pickingPoint === 'suggestion') {
+      setSuggestion(prev => prev && { ...prev, coordinates })
+    } else {
+      updateUrl({ near: coordinates, place: '' })
+    }
+    setPickingPoint(null)
+  }, [pickingPoint, updateUrl])
+  const proximity = useMemo(
+    () => near ? { center: near, radius: within, radiusMeters: within * METERS_PER_MILE, place } : null,
+    [near, within, place]
+  )
+
+  // Study area: a shape drawn on the map (or a saved one) that limits the spaces shown.
+  // Saved areas stay in this browser, so they are not part of the shared URL
+  const [studyArea, setStudyArea] = useState(null)
+  const [savedAreas, setSavedAreas] = useState(loadSavedAreas)
+  const updateSavedAreas = useCallback(update => {
+    setSavedAreas(prev => {
+      const next = update(prev)
+      storeSavedAreas(next)
+      return next
+    })
+  }, [])
+  const saveStudyArea = useCallback(name => {
+    const saved = namedArea(studyArea, name)
+    updateSavedAreas(prev => [saved, ...prev])
+    setStudyArea(saved)
+  }, [studyArea, updateSavedAreas])
+  const deleteStudyArea = useCallback(area => {
+    updateSavedAreas(prev => prev.filter(saved => saved.id !== area.id))
+  }, [updateSavedAreas])
+  const exportStudyAreas = useCallback(areas => {
+    const name = areas.length === 1 ? areas[0].properties?.name : 'study-areas'
+    downloadFile(areasToGeoJSON(areas), areaFilename(name), 'application/geo+json')
+  }, [])
+
+  // Snapshot history: the timeline replays the map and metrics at a saved date
+  // (`asof` in the URL), and can show the spaces lost by then
+  const [snapshots, setSnapshots] = useState([])
+  const [snapshotFeatures, setSnapshotFeatures] = useState(null)
+  const [showLost, setShowLost] = useState(false)
+  const [lostFeatures, setLostFeatures] = useState(null)
+  // Replace rather than push, so replaying doesn't fill the back button's history
+  const setSnapshotDate = useCallback(asof => updateUrl({ asof }, { replace: true }), [updateUrl])
+
+  useEffect(() => {
+    fetchHistory().then(setSnapshots)
+  }, [])
+
+  useEffect(() => {
+    if (!snapshotDate) return
+    let cancelled = false
+    fetchSnapshotFeatures(snapshotDate)
+      .then(features => {
+        if (!cancelled) setSnapshotFeatures({ date: snapshotDate, features })
+      })
+      .catch(error => {
+        console.error(`Error loading the ${snapshotDate} snapshot:`, error)
+        if (!cancelled) updateUrl({ asof: '' }, { replace: true })
+      })
+    return () => { cancelled = true }
+  }, [snapshotDate, updateUrl])
+
+  // Lost by the snapshot shown, or by the latest one when showing live data
+  const lostDate = snapshotDate || snapshots[snapshots.length - 1]?.date
+  useEffect(() => {
+    if (!showLost || !lostDate) return
+    let cancelled = false
+    fetchLostSpaces(lostDate)
+      .then(features => {
+        if (!cancelled) setLostFeatures({ date: lostDate, features })
+      })
+      .catch(error => console.error('Error loading lost spaces:', error))
+    return () => { cancelled = true }
+  }, [showLost, lostDate])
+
+  const snapshotLoading = Boolean(snapshotDate) && snapshotFeatures?.date !== snapshotDate
+  // While a snapshot loads, the one before it (or the live data) stays up
+  const shownFeatures = snapshotDate && snapshotFeatures ? snapshotFeatures.features : features
+  const shownStatus = useMemo(() => {
+    if (!snapshotDate || !snapshotFeatures) return dataStatus
+    const snapshot = snapshots.find(entry => entry.date === snapshotFeatures.date)
+    return { asOf: new Date(snapshot?.takenAt || `${snapshotFeatures.date}T12:00:00`), stale: false, snapshot: true }
+  }, [snapshotDate, snapshotFeatures, snapshots, dataStatus])
+
+  // On page load and back/forward, show the map view recorded in the URL instead of auto-zooming
+  const preserveMapView = navigationType === 'POP' && Boolean(urlState.view)
 
   useEffect(() => {
     const loadData = async () => {
       try {
-        const features = await fetchFeatureServiceData()
-        // Filter out Watertown, Hingham (by city), First Highland Management, and Hingham art space (by name)
-        const filteredFeatures = features.filter(feature => {
-          const city = feature.properties?.city || feature.properties?.City || ''
-          const cityUpper = city.toUpperCase().trim()
-          const name = feature.properties?.name || feature.properties?.Name || ''
-          const nameUpper = name.toUpperCase().trim()
-          return cityUpper !== 'WATERTOWN' && 
-                 nameUpper !== 'FIRST HIGHLAND MANAGEMENT' &&
-                 nameUpper !== 'HINGHAM' &&
-                 nameUpper !== 'SALEM'
-        })
-        setData(filteredFeatures)
+        const { features, asOf, stale } = await fetchFeatureServiceData()
+        setDataStatus({ asOf, stale })
+        // Curation exclusions (Watertown, etc.) are applied by the server
+        setFeatures(features)
         setLoading(false)
       } catch (error) {
         console.error('Error loading data:', error)
@@ -37,58 +181,131 @@ function App() {
     loadData()
   }, [])
 
-  // Helper function to determine space type
-  const getSpaceType = (properties) => {
-    const type = properties?.type || properties?.Type || ''
-    const typeLower = type.toLowerCase().trim()
-    
-    if (typeLower.includes('production') && typeLower.includes('presentation')) {
-      return 'both'
-    } else if (typeLower.includes('production')) {
-      return 'production'
-    } else if (typeLower.includes('presentation')) {
-      return 'presentation'
+  // Town and neighborhood polygons, shared by the map and the location checks below
+  useEffect(() => {
+    loadNeighborhoodBoundaries().then(neighborhoods => {
+      setBoundaries(prev => ({ ...prev, neighborhoods }))
+      setNeighborhoodsLoading(false)
+    })
+  }, [])
+
+  // Only the registered municipalities and the towns spaces are recorded in are fetched
+  const townNames = useMemo(() => [...new Set([
+    ...MUNICIPALITIES.map(municipality => municipality.town),
+    ...features.map(f => f.properties?.city).filter(Boolean)
+  ].map(town => town.trim().toUpperCase()))].sort().join(','), [features])
+
+  // Town outlines are simplified for the zoom they're fetched at; fetch finer ones
+  // when the map zooms in past that level. The first fetch uses the URL's view,
+  // or else the zoom the map will fit the spaces at
+  const [townZoom, setTownZoom] = useState(() => urlState.view?.zoom ?? null)
+  const mapZoom = urlState.view?.zoom
+  const townLevelMaxZoom = boundaries.towns?.level?.maxZoom
+  useEffect(() => {
+    if (mapZoom === undefined || townLevelMaxZoom === undefined || townLevelMaxZoom === null) return
+    if (mapZoom > townLevelMaxZoom) setTownZoom(mapZoom)
+  }, [mapZoom, townLevelMaxZoom])
+
+  useEffect(() => {
+    if (loading) return
+    if (townZoom === null) {
+      // Estimated for the window, as the map's own size isn't known yet; only the level matters
+      const bounds = featuresBounds(features)
+      const fitted = bounds && fitBounds(bounds, { width: window.innerWidth, height: window.innerHeight }, { maxZoom: 15 })
+      setTownZoom(fitted ? Math.floor(fitted.zoom) : 0)
+      return
     }
-    return 'unknown'
-  }
-
-  // Filter data based on user selections (city, neighborhood, type)
-  // Note: data already excludes Watertown, Hingham, and First Highland Management
-  const filteredData = useMemo(() => {
-    return data.filter(feature => {
-      const props = feature.properties || {}
-      // Handle case-insensitive city matching
-      const city = (props.city || props.City || '').trim()
-      const neighborhood = (props.neighborhood || props.Neighborhood || '').trim()
-      
-      if (selectedCity && city.toUpperCase() !== selectedCity.toUpperCase()) return false
-      if (selectedNeighborhood && neighborhood.toUpperCase() !== selectedNeighborhood.toUpperCase()) return false
-      
-      // Filter by type if selected
-      if (selectedType) {
-        const spaceType = getSpaceType(props)
-        if (selectedType === 'both' && spaceType !== 'both') return false
-        if (selectedType === 'production' && spaceType !== 'production') return false
-        if (selectedType === 'presentation' && spaceType !== 'presentation') return false
-        if (selectedType === 'unknown' && spaceType !== 'unknown') return false
-      }
-      
-      return true
+    let cancelled = false
+    loadTownBoundaries(townNames.split(','), townZoom).then(towns => {
+      if (cancelled) return
+      // Keep the outlines already shown if a refinement fails
+      setBoundaries(prev => ({ ...prev, towns: towns || prev.towns }))
+      setTownsLoading(false)
     })
-  }, [data, selectedCity, selectedNeighborhood, selectedType])
-
-  // Get unique cities (excluding Watertown and Hingham)
-  const cities = useMemo(() => 
-    [...new Set(data.map(f => f.properties?.city).filter(Boolean))]
-      .filter(city => {
-        const cityUpper = city.toUpperCase().trim()
-        return cityUpper !== 'WATERTOWN' && cityUpper !== 'HINGHAM'
-      })
-      .sort(),
+    return () => { cancelled = true }
+  }, [loading, townNames, townZoom])
+
+  const boundariesLoading = townsLoading || neighborhoodsLoading
+
+  // City and neighborhood come from the boundaries a space falls in rather than the
+  // recorded attributes; disagreements are kept on each space as `locationIssues`
+  const data = useMemo(() => assignBoundaries(shownFeatures, boundaries), [shownFeatures, boundaries])
+
+  // Selected space, looked up by its stable id
+  const selectedTableRow = useMemo(
+    () => (selectedSpaceId && data.find(f => f.properties.id === selectedSpaceId)) || null,
+    [data, selectedSpaceId]
+  )
+
+  const locationIssues = useMemo(
+    () => data.filter(feature => feature.properties.locationIssues?.length > 0),
+    [data]
+  )
+
+  // Filter spaces based on user selections (city, neighborhood, type, last verified)
+  // and the study area, then to the proximity search's radius, nearest first
+  const filterSpaces = useCallback(spaces => {
+    const filters = {
+      city: selectedCity,
+      neighborhood: selectedNeighborhood,
+      type: selectedType
+    }
+    const matching = spaces.filter(feature =>
+      matchesFilters(feature, filters) &&
+      (!verifiedMonths || verifiedWithin(feature, verifiedMonths)) &&
+      (!studyArea || inStudyArea(feature, studyArea))
+    )
+    if (!proximity) return { features: matching, distances: null }
+    return spacesWithin(matching, proximity.center, proximity.radiusMeters)
+  }, [selectedCity, selectedNeighborhood, selectedType, verifiedMonths, studyArea, proximity])
+
+  const { features: filteredData, distances } = useMemo(() => filterSpaces(data), [filterSpaces, data])
+
+  // Lost spaces under the same filters, placed in the current boundaries
+  const lostSpaces = useMemo(() => {
+    if (!showLost || !lostFeatures || lostFeatures.date !== lostDate) return []
+    return filterSpaces(assignBoundaries(lostFeatures.features, boundaries)).features
+  }, [showLost, lostFeatures, lostDate, filterSpaces, boundaries])
+
+  const places = useMemo(() => gazetteerPlaces(data), [data])
+
+  // How current the records behind the map are, for the banner
+  const freshness = useMemo(() => freshnessSummary(data), [data])
+
+  // Select a search result, clearing the filters if they would hide it
+  const selectSearchResult = useCallback(feature => {
+    const hiddenByFilters = !filteredData.includes(feature)
+    if (hiddenByFilters) setStudyArea(null)
+    updateUrl({
+      space: feature.properties.id,
+      ...(hiddenByFilters && { city: '', neighborhood: '', type: '', verified: null, near: null, place: '' })
+    })
+  }, [filteredData, updateUrl])
+
+  // Get unique cities: every registered municipality, plus any other city with spaces
+  // (case-insensitively, preferring the registry's spelling)
+  const cities = useMemo(() => {
+    const names = [
+      ...MUNICIPALITIES.map(municipality => municipality.name),
+      ...data.map(f => f.properties?.city).filter(Boolean)
+    ]
+    // `Map` is the map component here
+    const byKey = new globalThis.Map()
+    names.forEach(city => {
+      const key = city.trim().toUpperCase()
+      if (!byKey.has(key)) byKey.set(key, city.trim())
+    })
+    return [...byKey.values()].sort()
+  }, [data])
+
+  // Type values already in use, offered when suggesting a space's type
+  const spaceTypes = useMemo(
+    () => [...new Set(data.map(f => f.properties?.type).filter(Boolean))].sort(),
     [data]
   )
 
-  // Get neighborhoods filtered by selected city
+  // Get neighborhoods filtered by selected city: every official neighborhood (even
+  // those without spaces), plus recorded ones in cities without boundaries
   const neighborhoods = useMemo(() => {
     let filteredData = data
     if (selectedCity) {
@@ -97,25 +314,27 @@ function App() {
         return city.toUpperCase().trim() === selectedCity.toUpperCase().trim()
       })
     }
-    return [...new Set(
-      filteredData
+    return [...new Set([
+      ...officialNeighborhoods(boundaries.neighborhoods, selectedCity),
+      ...filteredData
         .map(f => f.properties?.neighborhood)
         .filter(Boolean)
-    )].sort()
-  }, [data, selectedCity])
+    ])].sort()
+  }, [data, selectedCity, boundaries])
 
   // Clear selected neighborhood if it's not available in the selected city
   useEffect(() => {
+    if (loading || boundariesLoading) return
     if (selectedCity && selectedNeighborhood) {
       const availableNeighborhoods = neighborhoods
       const neighborhoodExists = availableNeighborhoods.some(
         n => n.toUpperCase().trim() === selectedNeighborhood.toUpperCase().trim()
       )
       if (!neighborhoodExists) {
-        setSelectedNeighborhood('')
+        updateUrl({ neighborhood: '' }, { replace: true })
       }
     }
-  }, [selectedCity, neighborhoods, selectedNeighborhood])
+  }, [loading, boundariesLoading, selectedCity, neighborhoods, selectedNeighborhood, updateUrl])
 
   return (
     <div className="app">
@@ -125,25 +344,70 @@ function App() {
           <span className="title-word space-word">SPACE</span>{' '}
           <span className="title-word for-art-words">FOR ART</span>
         </h1>
-        <p className="app-subtitle">Securing Cultural Infrastructure in Boston, Cambridge & Somerville</p>
+        <p className="app-subtitle">Securing Cultural Infrastructure in {municipalityNames()}</p>
       </header>
-      <div className="data-warning-banner">
-        <strong>⚠️ Warning:</strong> This data is old and should not be considered an accurate source of truth.
-      </div>
+      {!loading && freshness.total > 0 && (
+        <div className={`data-warning-banner ${freshness.freshShare >= 0.5 ? 'fresh' : ''}`}>
+          {freshness.dated === 0 ? (
+            <><strong>⚠️ Unverified:</strong> None of these spaces has a verification or edit date, so treat them as unconfirmed.</>
+          ) : (
+            <>
+              <strong>{Math.round(freshness.freshShare * 100)}% verified in the last {FRESH_MONTHS === 12 ? 'year' : `${FRESH_MONTHS} months`}</strong>
+              {' '}({freshness.fresh} of {freshness.total} spaces
+              {freshness.updated > 0 && `; ${freshness.updated} more were updated without a verification`}
+              {freshness.dated < freshness.total && `; ${freshness.total - freshness.dated} have no date`}).
+              {freshness.freshShare < 0.5 && ' Check details with the space before relying on them.'}
+            </>
+          )}
+        </div>
+      )}
       <div className="app-content">
         <div className="map-container">
-          <Map 
-            data={filteredData} 
-            loading={loading}
+          {snapshots.length > 0 && (
+            <Timeline
+              snapshots={snapshots}
+              date={snapshotDate}
+              onDateChange={setSnapshotDate}
+              showLost={showLost}
+              onShowLostChange={setShowLost}
+              lostCount={lostFeatures?.date === lostDate ? lostSpaces.length : null}
+              loading={snapshotLoading}
+            />
+          )}
+          <div className="map-area">
+            <Map 
+              data={filteredData} 
+              loading={loading}
+              selectedFeature={selectedTableRow}
+              onMarkerSelect={setSelectedTableRow}
+              selectedCity={selectedCity}
+              selectedNeighborhood={selectedNeighborhood}
+              boundaries={boundaries}
+              view={urlState.view}
+              onViewChange={setMapView}
+              preserveView={preserveMapView}
+              mapStyle={urlState.style}
+              onMapStyleChange={setMapStyle}
+              proximity={proximity}
+              pickingPoint={Boolean(pickingPoint)}
+              onPointPick={pickPoint}
+              studyArea={studyArea}
+              onStudyAreaChange={setStudyArea}
+              lostSpaces={lostSpaces}
+              onSuggestEdit={snapshotDate ? undefined : suggestEdit}
+            />
+          </div>
+          <DataTable
+            data={filteredData}
+            distances={distances}
             selectedFeature={selectedTableRow}
-            onMarkerSelect={setSelectedTableRow}
-            selectedCity={selectedCity}
-            selectedNeighborhood={selectedNeighborhood}
+            onRowSelect={setSelectedTableRow}
           />
         </div>
         <div className="panel-container">
           <MetricsPanel
             data={filteredData}
+            allData={data}
             cities={cities}
             neighborhoods={neighborhoods}
             selectedCity={selectedCity}
@@ -152,10 +416,44 @@ function App() {
             onCityChange={setSelectedCity}
             onNeighborhoodChange={setSelectedNeighborhood}
             onTypeChange={setSelectedType}
+            verifiedMonths={verifiedMonths}
+            onVerifiedMonthsChange={setVerifiedMonths}
+            onSearchSelect={selectSearchResult}
             loading={loading}
+            dataStatus={shownStatus}
+            locationIssues={locationIssues}
+            onIssueSelect={setSelectedTableRow}
+            places={places}
+            proximity={proximity}
+            radius={within}
+            pickingPoint={pickingPoint === 'proximity'}
+            onPickingPointChange={picking => setPickingPoint(picking ? 'proximity' : null)}
+            onProximityChange={setProximity}
+            onProximityClear={clearProximity}
+            studyArea={studyArea}
+            savedAreas={savedAreas}
+            onStudyAreaSave={saveStudyArea}
+            onStudyAreaLoad={setStudyArea}
+            onStudyAreaDelete={deleteStudyArea}
+            onStudyAreaExport={exportStudyAreas}
+            onStudyAreaClear={() => setStudyArea(null)}
+            boundaries={boundaries}
+            onSuggestSpace={suggestSpace}
           />
         </div>
       </div>
+      {suggestion && (
+        <SuggestionForm
+          kind={suggestion.kind}
+          feature={suggestion.feature}
+          coordinates={suggestion.coordinates}
+          picking={pickingPoint === 'suggestion'}
+          onPickingChange={picking => setPickingPoint(picking ? 'suggestion' : null)}
+          types={spaceTypes}
+          cities={cities}
+          onClose={closeSuggestion}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback } from 'react'
+import { fetchExclusions, addExclusionRule, removeExclusionRule, formatDateTime } from '../utils/admin'
+
+const MATCH_FIELDS = [
+  { id: 'name', label: 'Name' },
+  { id: 'city', label: 'City' },
+  { id: 'id', label: 'Record id' },
+  { id: 'property', label: 'Other attribute' }
+]
+
+// "city: Watertown", "name: Salem, Hingham", "status = Closed"
+function describeMatch(match) {
+  const list = (value) => [].concat(value).join(', ')
+  if ('property' in match) return `${match.property} = ${list(match.value)}`
+  const [field] = Object.keys(match)
+  return `${field}: ${list(match[field])}`
+}
+
+/**
+ * Curation rules for the admin page: the rules that keep records off the
+ * map, the records each removes, and forms to add or remove rules. Changes
+ * rewrite the rules file and refresh the feature set.
+ */
+function AdminExclusions({ onError }) {
+  const [data, setData] = useState(null)
+  const [field, setField] = useState('name')
+  const [property, setProperty] = useState('')
+  const [values, setValues] = useState('')
+  const [reason, setReason] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(() => {
+    fetchExclusions().then(setData).catch(onError)
+  }, [onError])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const list = values.split(',').map(value => value.trim()).filter(Boolean)
+    const value = list.length === 1 ? list[0] : list
+    setBusy(true)
+    try {
+      await addExclusionRule({
+        match: field === 'property' ? { property: property.trim(), value } : { [field]: value },
+        reason
+      })
+      setValues('')
+      setReason('')
+      load()
+    } catch (err) {
+      onError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemove = async (rule) => {
+    if (!window.confirm(`Remove the rule "${describeMatch(rule.match)}"? Matching records will be published again.`)) return
+    try {
+      await removeExclusionRule(rule.id)
+      load()
+    } catch (err) {
+      onError(err)
+    }
+  }
+
+  if (!data) return <div className="submission-muted">Loading…</div>
+
+  return (
+    <div className="admin-sections">
+      <section className="admin-card">
+        <h2>Rules</h2>
+        <table className="admin-table">
+          <thead>
+            <tr><th>Matches</th><th>Reason</th><th>Records</th><th></th></tr>
+          </thead>
+          <tbody>
+            {data.rules.map(rule => (
+              <tr key={rule.id}>
+                <td>{describeMatch(rule.match || {})}</td>
+                <td>{rule.reason || <span className="submission-muted">—</span>}</td>
+                <td>{data.excluded.filter(item => item.ruleId === rule.id).length}</td>
+                <td>
+                  <button className="admin-button reject" onClick={() => handleRemove(rule)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <form className="admin-rule-form" onSubmit={handleAdd}>
+          <select value={field} onChange={(e) => setField(e.target.value)} aria-label="Match on">
+            {MATCH_FIELDS.map(item => <option key={item.id} value={item.id}>{item.label}</option>)}
+          </select>
+          {field === 'property' && (
+            <input
+              placeholder="Attribute, e.g. status"
+              value={property}
+              maxLength={200}
+              onChange={(e) => setProperty(e.target.value)}
+              aria-label="Attribute name"
+            />
+          )}
+          <input
+            placeholder="Values, separated by commas"
+            value={values}
+            onChange={(e) => setValues(e.target.value)}
+            aria-label="Values to exclude"
+          />
+          <input
+            placeholder="Reason (optional)"
+            value={reason}
+            maxLength={200}
+            onChange={(e) => setReason(e.target.value)}
+            aria-label="Reason"
+          />
+          <button
+            type="submit"
+            className="admin-button"
+            disabled={busy || !values.trim() || (field === 'property' && !property.trim())}
+          >
+            <i className="fa-solid fa-plus"></i>
+            Add rule
+          </button>
+        </form>
+      </section>
+
+      <section className="admin-card">
+        <h2>Excluded Records ({data.excluded.length})</h2>
+        <div className="submission-muted">As of {formatDateTime(data.fetchedAt)}</div>
+        <table className="admin-table">
+          <thead>
+            <tr><th>Name</th><th>City</th><th>Rule</th></tr>
+          </thead>
+          <tbody>
+            {data.excluded.map((item, index) => (
+              <tr key={item.id ?? index}>
+                <td>{item.name || <span className="submission-muted">Unnamed</span>}</td>
+                <td>{item.city}</td>
+                <td>{item.ruleId}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  )
+}
+
+export default AdminExclusions
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react'
+import { fetchHealth, refreshFeatureCache, formatDateTime } from '../utils/admin'
+
+/**
+ * Overview for the admin page: whether the ArcGIS services answer, the state
+ * of the server's caches and snapshot history, and a button to fetch the
+ * feature set now.
+ */
+function AdminHealth({ admin, onError }) {
+  const [health, setHealth] = useState(null)
+  const [refreshing, setRefreshing] = useState(false)
+  const [refreshResult, setRefreshResult] = useState(null)
+
+  const load = useCallback(() => {
+    setHealth(null)
+    fetchHealth().then(setHealth).catch(onError)
+  }, [onError])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    setRefreshResult(null)
+    try {
+      setRefreshResult(await refreshFeatureCache())
+      load()
+    } catch (err) {
+      onError(err)
+    } finally {
+      setRefreshing(false)
+    }
+  }
+
+  return (
+    <div className="admin-sections">
+      <section className="admin-card">
+        <div className="admin-card-header">
+          <h2>Upstream Services</h2>
+          <button className="admin-button" onClick={load} disabled={!health}>
+            <i className="fa-solid fa-rotate"></i>
+            Check again
+          </button>
+        </div>
+        {!health ? (
+          <div className="submission-muted">Checking…</div>
+        ) : (
+          <table className="admin-table">
+            <tbody>
+              {health.upstreams.map(upstream => (
+                <tr key={upstream.name}>
+                  <td>{upstream.name}</td>
+                  <td className={upstream.ok ? 'admin-ok' : 'admin-failing'}>
+                    <i className={`fa-solid ${upstream.ok ? 'fa-circle-check' : 'fa-circle-xmark'}`}></i>
+                    {upstream.ok ? ' OK' : ` ${upstream.error}`}
+                  </td>
+                  <td className="submission-muted">{upstream.latencyMs !== null && `${upstream.latencyMs} ms`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="admin-card">
+        <div className="admin-card-header">
+          <h2>Caches</h2>
+          {admin.permissions.includes('cache') && (
+            <button className="admin-button" onClick={handleRefresh} disabled={refreshing}>
+              <i className={`fa-solid ${refreshing ? 'fa-spinner fa-spin' : 'fa-cloud-arrow-down'}`}></i>
+              Refresh features now
+            </button>
+          )}
+        </div>
+        {refreshResult && (
+          <div className="admin-notice">
+            Fetched {refreshResult.features} spaces ({refreshResult.excluded} excluded, {refreshResult.invalid} invalid)
+            at {formatDateTime(refreshResult.fetchedAt)}.
+          </div>
+        )}
+        {health && (
+          <table className="admin-table">
+            <thead>
+              <tr><th>Cache</th><th>Fetched</th><th>Last error</th></tr>
+            </thead>
+            <tbody>
+              {health.caches.map(cache => (
+                <tr key={cache.name}>
+                  <td>{cache.name}</td>
+                  <td>
+                    {cache.fetchedAt ? formatDateTime(cache.fetchedAt) : 'Not yet'}
+                    {cache.refreshing && ' (refreshing)'}
+                  </td>
+                  <td className={cache.lastError ? 'admin-failing' : 'submission-muted'}>
+                    {cache.lastError ? `${cache.lastError.message} (${formatDateTime(cache.lastError.at)})` : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {health && (
+        <section className="admin-card">
+          <h2>History and Suggestions</h2>
+          <ul className="admin-facts">
+            <li>
+              {health.history.enabled
+                ? `${health.history.snapshots} snapshots${health.history.latest ? `, latest ${health.history.latest}` : ''}`
+                : 'Snapshot history is turned off'}
+            </li>
+            <li>{health.submissions.pending} suggestions waiting for review</li>
+            <li className="submission-muted">Checked {formatDateTime(health.checkedAt)}</li>
+          </ul>
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default AdminHealth
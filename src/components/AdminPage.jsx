@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, NavLink, Navigate, useParams } from 'react-router-dom'
+import { fetchAdminSession, signIn, signOut } from '../utils/admin'
+import AdminHealth from './AdminHealth'
+import AdminExclusions from './AdminExclusions'
+import SubmissionQueue from './SubmissionQueue'
+import AuditLog from './AuditLog'
+import '../css/Admin.css'
+
+// Sections of the admin page, each shown to roles with its permission
+const SECTIONS = [
+  { id: 'overview', label: 'Overview', permission: 'health', Component: AdminHealth },
+  { id: 'exclusions', label: 'Exclusions', permission: 'exclusions', Component: AdminExclusions },
+  { id: 'suggestions', label: 'Suggestions', permission: 'submissions', Component: SubmissionQueue },
+  { id: 'audit', label: 'Audit Log', permission: 'audit', Component: AuditLog }
+]
+
+function SignInForm({ onSignIn }) {
+  const [name, setName] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      onSignIn(await signIn(name, password))
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  return (
+    <form className="admin-sign-in" onSubmit={handleSubmit}>
+      {error && <div className="admin-error" role="alert">{error}</div>}
+      <label htmlFor="admin-name">Name</label>
+      <input id="admin-name" autoComplete="username" value={name} onChange={(e) => setName(e.target.value)} />
+      <label htmlFor="admin-password">Password</label>
+      <input
+        id="admin-password"
+        type="password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button type="submit" className="admin-button" disabled={busy || !name || !password}>Sign in</button>
+    </form>
+  )
+}
+
+/**
+ * The admin area at /admin/<section>: sign-in, then the sections the
+ * signed-in role may use (see ROLES in server/adminAuth.js).
+ */
+function AdminPage() {
+  const { section } = useParams()
+  // undefined while checking the session, null when signed out
+  const [admin, setAdmin] = useState(undefined)
+  const [enabled, setEnabled] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchAdminSession()
+      .then(setAdmin)
+      .catch(err => {
+        if (err.status === 404) setEnabled(false)
+        setAdmin(null)
+      })
+  }, [])
+
+  // An expired session sends the user back to sign in; anything else is shown above the section
+  const handleError = useCallback((err) => {
+    if (err.status === 401) {
+      setAdmin(null)
+      setError('Your session has ended; please sign in again.')
+    } else {
+      setError(err.message)
+    }
+  }, [])
+
+  const handleSignIn = (user) => {
+    setError(null)
+    setAdmin(user)
+  }
+
+  const handleSignOut = async () => {
+    await signOut().catch(() => {})
+    setAdmin(null)
+  }
+
+  const sections = admin ? SECTIONS.filter(item => admin.permissions.includes(item.permission)) : []
+  const current = sections.find(item => item.id === section)
+
+  // Land on the first section the role can use
+  if (admin && !current && sections.length > 0) {
+    return <Navigate to={`/admin/${sections[0].id}`} replace />
+  }
+
+  return (
+    <div className="admin">
+      <header className="admin-header">
+        <h1>Admin</h1>
+        {admin && <span className="admin-user">{admin.name} ({admin.role})</span>}
+        <Link to="/" className="admin-link">Back to the map</Link>
+        {admin && <button className="admin-link" onClick={handleSignOut}>Sign out</button>}
+      </header>
+
+      {admin && (
+        <nav className="admin-tabs">
+          {sections.map(item => (
+            <NavLink
+              key={item.id}
+              to={`/admin/${item.id}`}
+              className={({ isActive }) => `admin-tab ${isActive ? 'active' : ''}`}
+              onClick={() => setError(null)}
+            >
+              {item.label}
+            </NavLink>
+          ))}
+        </nav>
+      )}
+
+      <main className="admin-main">
+        {error && admin && <div className="admin-error" role="alert">{error}</div>}
+
+        {admin === undefined ? (
+          <div className="submission-muted">Loading…</div>
+        ) : !enabled ? (
+          <div className="submission-muted">
+            The admin area is not enabled on this server. Set ADMIN_USERS to turn it on.
+          </div>
+        ) : !admin ? (
+          <>
+            {error && <div className="admin-error" role="alert">{error}</div>}
+            <SignInForm onSignIn={handleSignIn} />
+          </>
+        ) : current ? (
+          <current.Component admin={admin} onError={handleError} />
+        ) : null}
+      </main>
+    </div>
+  )
+}
+
+export default AdminPage
@@ -0,0 +1,133 @@
+import { useMemo, useState } from 'react'
+import { breakdownBy } from '../utils/breakdowns'
+import ChartCard from './ChartCard'
+import CountChart from './CountChart'
+import TypeMixChart, { categoriesIn } from './TypeMixChart'
+
+// Bars shown before "Show all"
+const TOP_AREAS = 10
+
+const LEVELS = [
+  { id: 'city', label: 'City', plural: 'Cities' },
+  { id: 'neighborhood', label: 'Neighborhood', plural: 'Neighborhoods' }
+]
+
+// The first TOP_AREAS rows, or all of them, with a toggle when there are more
+function useTopRows(rows) {
+  const [showAll, setShowAll] = useState(false)
+  const shown = showAll ? rows : rows.slice(0, TOP_AREAS)
+  const toggle = rows.length > TOP_AREAS && (
+    <button className="chart-toggle" onClick={() => setShowAll(!showAll)}>
+      {showAll ? `Show top ${TOP_AREAS}` : `Show all ${rows.length}`}
+    </button>
+  )
+  return [shown, toggle]
+}
+
+/**
+ * Breakdowns of the filtered spaces: counts by city and by neighborhood, and
+ * the mix of space types in each city or neighborhood as a chart and a table.
+ */
+function AreaBreakdowns({ data, selectedCity }) {
+  const byCity = useMemo(() => breakdownBy(data, 'city'), [data])
+  const byNeighborhood = useMemo(() => breakdownBy(data, 'neighborhood'), [data])
+  const [cityRows, cityToggle] = useTopRows(byCity)
+  const [neighborhoodRows, neighborhoodToggle] = useTopRows(byNeighborhood)
+
+  const [mixLevel, setMixLevel] = useState('city')
+  const [mixShare, setMixShare] = useState(false)
+  const mixRows = mixLevel === 'city' ? byCity : byNeighborhood
+  const [mixChartRows, mixToggle] = useTopRows(mixRows)
+  const mixCategories = categoriesIn(mixRows)
+  const level = LEVELS.find(option => option.id === mixLevel)
+
+  const legend = mixCategories.map(category => ({ label: category.label, color: category.color }))
+
+  return (
+    <>
+      {byCity.length > 1 && (
+        <ChartCard title="Spaces by City">
+          <CountChart rows={cityRows} />
+          {cityToggle}
+        </ChartCard>
+      )}
+
+      {byNeighborhood.length > 0 && (
+        <ChartCard
+          title={selectedCity ? `Spaces by Neighborhood in ${selectedCity}` : 'Spaces by Neighborhood'}
+          subtitle={byNeighborhood.length > TOP_AREAS ? 'Neighborhoods with the most spaces first' : null}
+        >
+          <CountChart rows={neighborhoodRows} />
+          {neighborhoodToggle}
+        </ChartCard>
+      )}
+
+      {mixRows.length > 0 && (
+        <ChartCard
+          title={`Type Mix by ${level.label}`}
+          subtitle="Spaces with several types count toward each"
+          legend={legend}
+        >
+          <div className="chart-options">
+            <div className="chart-option-group" role="group" aria-label="Break down by">
+              {LEVELS.map(option => (
+                <button
+                  key={option.id}
+                  className={`chart-option ${mixLevel === option.id ? 'active' : ''}`}
+                  aria-pressed={mixLevel === option.id}
+                  onClick={() => setMixLevel(option.id)}
+                >
+                  {option.plural}
+                </button>
+              ))}
+            </div>
+            <div className="chart-option-group" role="group" aria-label="Show as">
+              {[{ share: false, label: 'Count' }, { share: true, label: 'Share' }].map(option => (
+                <button
+                  key={option.label}
+                  className={`chart-option ${mixShare === option.share ? 'active' : ''}`}
+                  aria-pressed={mixShare === option.share}
+                  onClick={() => setMixShare(option.share)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <TypeMixChart rows={mixChartRows} share={mixShare} />
+          {mixToggle}
+          <div className="breakdown-table-wrapper">
+            <table className="breakdown-table">
+              <thead>
+                <tr>
+                  <th scope="col">{level.label}</th>
+                  <th scope="col">Total</th>
+                  {mixCategories.map(category => (
+                    <th key={category.id} scope="col" title={category.label}>
+                      <i className={`fa-solid ${category.icon}`} style={{ color: category.color }} aria-label={category.label}></i>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {mixRows.map(row => (
+                  <tr key={row.id}>
+                    <th scope="row" title={row.city && row.city !== row.name ? `${row.name}, ${row.city}` : row.name}>
+                      {row.name}
+                    </th>
+                    <td>{row.value}</td>
+                    {mixCategories.map(category => (
+                      <td key={category.id}>{row.categories[category.id] || ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ChartCard>
+      )}
+    </>
+  )
+}
+
+export default AreaBreakdowns
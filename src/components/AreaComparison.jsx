@@ -0,0 +1,164 @@
+import { useMemo, useState } from 'react'
+import { areaId, breakdownBy, compareAreas } from '../utils/breakdowns'
+import { boundaryName } from '../utils/featureSchema'
+import ChartCard from './ChartCard'
+import CountChart from './CountChart'
+import TypeMixChart, { categoriesIn } from './TypeMixChart'
+
+const formatRate = (value) => value === null ? '–' : value.toFixed(value < 10 ? 1 : 0)
+
+/**
+ * Compare two or more cities or neighborhoods side by side: space counts,
+ * spaces per square mile and per 10,000 residents, and their type mix.
+ * `data` is the spaces to compare, `cities` the city options and
+ * `boundaries` the loaded town and neighborhood polygons.
+ */
+function AreaComparison({ data, cities, boundaries, description }) {
+  const [areas, setAreas] = useState([])
+  const [share, setShare] = useState(false)
+
+  // Every city, and every neighborhood with a boundary or a space
+  const options = useMemo(() => {
+    const cityOptions = cities.map(city => ({ level: 'city', city, name: city }))
+    const neighborhoodOptions = new globalThis.Map()
+    Object.entries(boundaries.neighborhoods || {}).forEach(([city, collection]) => {
+      collection.features.forEach(feature => {
+        const name = boundaryName(feature.properties)
+        if (name) neighborhoodOptions.set(areaId('neighborhood', city, name), { level: 'neighborhood', city, name })
+      })
+    })
+    breakdownBy(data, 'neighborhood').forEach(({ id, city, name }) => {
+      if (!neighborhoodOptions.has(id)) neighborhoodOptions.set(id, { level: 'neighborhood', city, name })
+    })
+    const byId = (option) => ({ ...option, id: areaId(option.level, option.city, option.name) })
+    return {
+      cities: cityOptions.map(byId),
+      neighborhoods: [...neighborhoodOptions.values()]
+        .map(byId)
+        .sort((a, b) => a.city.localeCompare(b.city) || a.name.localeCompare(b.name))
+    }
+  }, [cities, boundaries, data])
+
+  const rows = useMemo(() => compareAreas(data, areas, boundaries), [data, areas, boundaries])
+  const chosen = new Set(areas.map(area => areaId(area.level, area.city, area.name)))
+
+  const addArea = (id) => {
+    const option = [...options.cities, ...options.neighborhoods].find(area => area.id === id)
+    if (option && !chosen.has(id)) setAreas([...areas, option])
+  }
+
+  const legend = categoriesIn(rows).map(category => ({ label: category.label, color: category.color }))
+
+  return (
+    <div className="filter-section">
+      <label className="filter-label">Compare Areas</label>
+      <select className="filter-select" value="" onChange={(e) => addArea(e.target.value)}>
+        <option value="">Add a city or neighborhood…</option>
+        <optgroup label="Cities">
+          {options.cities.map(option => (
+            <option key={option.id} value={option.id} disabled={chosen.has(option.id)}>{option.name}</option>
+          ))}
+        </optgroup>
+        <optgroup label="Neighborhoods">
+          {options.neighborhoods.map(option => (
+            <option key={option.id} value={option.id} disabled={chosen.has(option.id)}>
+              {option.name}, {option.city}
+            </option>
+          ))}
+        </optgroup>
+      </select>
+
+      {areas.length > 0 && (
+        <div className="comparison-chips">
+          {rows.map(row => (
+            <span key={row.id} className="comparison-chip">
+              {row.label}
+              <button
+                onClick={() => setAreas(areas.filter(area => areaId(area.level, area.city, area.name) !== row.id))}
+                aria-label={`Remove ${row.label}`}
+              >
+                <i className="fa-solid fa-xmark"></i>
+              </button>
+            </span>
+          ))}
+          <button className="chart-toggle" onClick={() => setAreas([])}>Clear</button>
+        </div>
+      )}
+
+      {areas.length === 1 && (
+        <div className="metric-note">Add another area to compare.</div>
+      )}
+
+      {areas.length > 1 && (
+        <>
+          <ChartCard title="Area Comparison" subtitle={description} legend={legend}>
+            <div className="chart-options">
+              <div className="chart-option-group" role="group" aria-label="Show as">
+                {[{ share: false, label: 'Count' }, { share: true, label: 'Share' }].map(option => (
+                  <button
+                    key={option.label}
+                    className={`chart-option ${share === option.share ? 'active' : ''}`}
+                    aria-pressed={share === option.share}
+                    onClick={() => setShare(option.share)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <TypeMixChart rows={rows} share={share} labelKey="label" />
+          </ChartCard>
+          {rows.some(row => row.perSquareMile !== null) && (
+            <ChartCard title="Spaces per Square Mile" subtitle={description}>
+              <CountChart
+                rows={rows.filter(row => row.perSquareMile !== null)}
+                labelKey="label"
+                valueKey="perSquareMile"
+                unit="per sq mi"
+                format={formatRate}
+              />
+            </ChartCard>
+          )}
+          {rows.some(row => row.per10kResidents !== null) && (
+            <ChartCard title="Spaces per 10,000 Residents" subtitle={description}>
+              <CountChart
+                rows={rows.filter(row => row.per10kResidents !== null)}
+                labelKey="label"
+                valueKey="per10kResidents"
+                unit="per 10k residents"
+                format={formatRate}
+              />
+            </ChartCard>
+          )}
+          <div className="breakdown-table-wrapper">
+            <table className="breakdown-table">
+              <thead>
+                <tr>
+                  <th scope="col">Area</th>
+                  <th scope="col">Spaces</th>
+                  <th scope="col" title="Spaces per square mile">Per sq mi</th>
+                  <th scope="col" title="Spaces per 10,000 residents">Per 10k</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.id}>
+                    <th scope="row">{row.label}</th>
+                    <td>{row.value}</td>
+                    <td>{formatRate(row.perSquareMile)}</td>
+                    <td>{formatRate(row.per10kResidents)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="metric-note">
+            Per-resident rates use the population on the town boundaries (2010 census), so they're blank for neighborhoods.
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AreaComparison
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react'
+import { fetchAuditLog, formatDateTime } from '../utils/admin'
+
+const PAGE_SIZE = 100
+
+const ACTIONS = [
+  'sign-in',
+  'sign-in-failed',
+  'sign-out',
+  'cache-refresh',
+  'cache-refresh-failed',
+  'exclusion-add',
+  'exclusion-remove',
+  'submission-approve',
+  'submission-reject'
+]
+
+// Everything in an entry besides who, what and when, as "key: value" pairs
+const STANDARD_KEYS = ['at', 'user', 'role', 'action', 'ip']
+const describeDetails = (entry) => Object.entries(entry)
+  .filter(([key]) => !STANDARD_KEYS.includes(key))
+  .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join('; ')
+
+/** The admin audit log, newest first, optionally for one kind of action. */
+function AuditLog({ onError }) {
+  const [action, setAction] = useState('')
+  const [limit, setLimit] = useState(PAGE_SIZE)
+  const [entries, setEntries] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchAuditLog({ limit, action })
+      .then(list => {
+        if (!cancelled) setEntries(list)
+      })
+      .catch(err => {
+        if (!cancelled) onError(err)
+      })
+    return () => { cancelled = true }
+  }, [limit, action, onError])
+
+  return (
+    <section className="admin-card">
+      <div className="admin-card-header">
+        <h2>Audit Log</h2>
+        <select
+          value={action}
+          onChange={(e) => {
+            setAction(e.target.value)
+            setLimit(PAGE_SIZE)
+          }}
+          aria-label="Action"
+        >
+          <option value="">All actions</option>
+          {ACTIONS.map(item => <option key={item} value={item}>{item}</option>)}
+        </select>
+      </div>
+
+      {entries === null ? (
+        <div className="submission-muted">Loading…</div>
+      ) : entries.length === 0 ? (
+        <div className="submission-muted">Nothing recorded yet.</div>
+      ) : (
+        <>
+          <table className="admin-table">
+            <thead>
+              <tr><th>When</th><th>Who</th><th>Action</th><th>Details</th></tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => (
+                <tr key={`${entry.at}-${index}`}>
+                  <td className="admin-nowrap">{formatDateTime(entry.at)}</td>
+                  <td>{entry.user ? `${entry.user} (${entry.role})` : <span className="submission-muted">—</span>}</td>
+                  <td>{entry.action}</td>
+                  <td className="admin-details">{describeDetails(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length === limit && limit < 1000 && (
+            <button className="admin-button" onClick={() => setLimit(prev => Math.min(1000, prev + PAGE_SIZE))}>
+              Show more
+            </button>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default AuditLog
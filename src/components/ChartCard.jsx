@@ -0,0 +1,54 @@
+import { useRef, useState } from 'react'
+import { chartSVG, svgToPNG, chartFilename } from '../utils/chartExport'
+import { downloadFile } from '../utils/download'
+
+/**
+ * A titled chart card with PNG and SVG downloads of the chart inside it.
+ * `legend` ({ label, color } items) is drawn into the downloads, since chart
+ * legends in the panel are HTML.
+ */
+function ChartCard({ title, subtitle, legend, children }) {
+  const chartRef = useRef(null)
+  const [downloading, setDownloading] = useState(null)
+
+  const handleDownload = async (format) => {
+    const svg = chartSVG(chartRef.current, { title, legend })
+    if (!svg) return
+    setDownloading(format)
+    try {
+      if (format === 'svg') {
+        downloadFile(svg.markup, chartFilename(title, 'svg'), 'image/svg+xml')
+      } else {
+        downloadFile(await svgToPNG(svg), chartFilename(title, 'png'), 'image/png')
+      }
+    } catch (error) {
+      console.error(`Error downloading ${title} as ${format}:`, error)
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">{title}</div>
+      {subtitle && <div className="chart-subtitle">{subtitle}</div>}
+      <div ref={chartRef}>{children}</div>
+      <div className="chart-downloads">
+        {['png', 'svg'].map(format => (
+          <button
+            key={format}
+            className="chart-download"
+            onClick={() => handleDownload(format)}
+            disabled={downloading !== null}
+            title={`Download this chart as ${format.toUpperCase()}`}
+          >
+            <i className={`fa-solid ${downloading === format ? 'fa-spinner fa-spin' : 'fa-download'}`}></i>
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ChartCard
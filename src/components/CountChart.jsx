@@ -0,0 +1,34 @@
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, LabelList } from 'recharts'
+
+const ROW_HEIGHT = 22
+const AXIS_HEIGHT = 30
+const BAR_COLOR = '#4a90e2'
+
+/**
+ * Horizontal bars of one value per area, e.g. space counts from breakdownBy.
+ * `format` formats the values on the bars and in the tooltip.
+ */
+function CountChart({ rows, labelKey = 'name', valueKey = 'value', unit = 'spaces', format = String }) {
+  return (
+    <ResponsiveContainer width="100%" height={rows.length * ROW_HEIGHT + AXIS_HEIGHT}>
+      <BarChart data={rows} layout="vertical" margin={{ top: 0, right: 24, bottom: 0, left: 0 }}>
+        <XAxis type="number" allowDecimals={valueKey !== 'value'} fontSize={9} />
+        <YAxis type="category" dataKey={labelKey} width={90} fontSize={9} interval={0} />
+        <Tooltip
+          contentStyle={{ fontSize: '10px', padding: '6px' }}
+          itemStyle={{ fontSize: '9px', padding: '1px 0' }}
+          labelFormatter={(name, payload) => {
+            const city = payload?.[0]?.payload?.city
+            return city && city !== name ? `${name}, ${city}` : name
+          }}
+          formatter={(value) => [`${format(value)} ${unit}`, 'Spaces']}
+        />
+        <Bar dataKey={valueKey} fill={BAR_COLOR} isAnimationActive={false}>
+          <LabelList dataKey={valueKey} position="right" fontSize={9} fill="#333" formatter={format} />
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
+
+export default CountChart
@@ -0,0 +1,195 @@
+import { useState, useMemo, useEffect, useRef } from 'react'
+import { formatDistance } from '../utils/proximity'
+import '../css/DataTable.css'
+
+const PAGE_SIZE = 25
+
+// Columns shown in the table, all read from the normalized feature schema
+const COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'type', label: 'Type' },
+  { key: 'city', label: 'City' },
+  { key: 'neighborhood', label: 'Neighborhood' },
+  { key: 'address', label: 'Address', className: 'note-column' }
+]
+
+// Shown first during a proximity search; sorts by the distance itself rather than its text
+const DISTANCE_COLUMN = { key: 'distance', label: 'Distance', className: 'distance-column' }
+
+const cellValue = (feature, key) => feature.properties?.[key] || ''
+
+// `distances` maps each feature to its distance in meters during a proximity search
+function DataTable({ data, distances, selectedFeature, onRowSelect }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [searchText, setSearchText] = useState('')
+  const [sortConfig, setSortConfig] = useState({ key: 'name', direction: 'asc' })
+  const [page, setPage] = useState(0)
+  const rowRefs = useRef({})
+
+  const columns = useMemo(() => distances ? [DISTANCE_COLUMN, ...COLUMNS] : COLUMNS, [distances])
+  const displayValue = (feature, key) =>
+    key === 'distance' ? formatDistance(distances.get(feature)) : cellValue(feature, key)
+
+  // Nearest first when a proximity search starts; back to names when it ends
+  const hasDistances = Boolean(distances)
+  useEffect(() => {
+    setSortConfig({ key: hasDistances ? 'distance' : 'name', direction: 'asc' })
+  }, [hasDistances])
+
+  // Rows matching the search text, in the chosen sort order
+  const rows = useMemo(() => {
+    const needle = searchText.trim().toLowerCase()
+    const matching = needle
+      ? data.filter(feature =>
+          COLUMNS.some(column => cellValue(feature, column.key).toLowerCase().includes(needle))
+        )
+      : data
+
+    const direction = sortConfig.direction === 'asc' ? 1 : -1
+    if (sortConfig.key === 'distance' && distances) {
+      return [...matching].sort((a, b) => (distances.get(a) - distances.get(b)) * direction)
+    }
+    return [...matching].sort((a, b) => {
+      const valueA = cellValue(a, sortConfig.key)
+      const valueB = cellValue(b, sortConfig.key)
+      // Keep blank values at the bottom whichever way we sort
+      if (!valueA && valueB) return 1
+      if (valueA && !valueB) return -1
+      return valueA.localeCompare(valueB, undefined, { sensitivity: 'base', numeric: true }) * direction
+    })
+  }, [data, distances, searchText, sortConfig])
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE))
+  const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE)
+
+  // Back to the first page when the rows change underneath us
+  useEffect(() => {
+    setPage(0)
+  }, [data, searchText, sortConfig])
+
+  // When a marker is selected on the map, open the table at its row and scroll it into view
+  const selectedId = selectedFeature?.properties?.id
+  useEffect(() => {
+    if (!selectedId) return
+    const index = rows.findIndex(feature => feature.properties.id === selectedId)
+    if (index < 0) return
+    setIsOpen(true)
+    setPage(Math.floor(index / PAGE_SIZE))
+  }, [selectedId, rows])
+
+  useEffect(() => {
+    if (!isOpen || !selectedId) return
+    rowRefs.current[selectedId]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }, [isOpen, selectedId, page])
+
+  const handleSort = (key) => {
+    setSortConfig(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }))
+  }
+
+  const sortIconClass = (key) => {
+    if (sortConfig.key !== key) return 'fa-sort'
+    return sortConfig.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down'
+  }
+
+  return (
+    <div className="data-table-section">
+      <button className="table-toggle" onClick={() => setIsOpen(open => !open)}>
+        <span>Spaces Table ({data.length})</span>
+        <span className="toggle-icon">
+          <i className={`fa-solid ${isOpen ? 'fa-chevron-down' : 'fa-chevron-up'}`}></i>
+        </span>
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="table-toolbar">
+            <input
+              type="search"
+              className="table-search"
+              placeholder="Search name, type, city, neighborhood or address"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+            />
+            <div className="table-pagination">
+              <button
+                className="pagination-button"
+                onClick={() => setPage(p => Math.max(0, p - 1))}
+                disabled={page === 0}
+                title="Previous page"
+              >
+                <i className="fa-solid fa-chevron-left"></i>
+              </button>
+              <span className="pagination-info">
+                Page {page + 1} of {pageCount}
+              </span>
+              <button
+                className="pagination-button"
+                onClick={() => setPage(p => Math.min(pageCount - 1, p + 1))}
+                disabled={page >= pageCount - 1}
+                title="Next page"
+              >
+                <i className="fa-solid fa-chevron-right"></i>
+              </button>
+            </div>
+          </div>
+
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  {columns.map(column => (
+                    <th
+                      key={column.key}
+                      className={`sortable-header ${column.className || ''}`}
+                      onClick={() => handleSort(column.key)}
+                      aria-sort={sortConfig.key === column.key
+                        ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending')
+                        : 'none'}
+                    >
+                      <div className="header-content">
+                        <span>{column.label}</span>
+                        <span className={`sort-icon ${sortConfig.key === column.key ? 'active' : ''}`}>
+                          <i className={`fa-solid ${sortIconClass(column.key)}`}></i>
+                        </span>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.length === 0 ? (
+                  <tr>
+                    <td className="no-data" colSpan={columns.length}>No spaces match</td>
+                  </tr>
+                ) : (
+                  pageRows.map((feature, index) => {
+                    const id = feature.properties.id
+                    return (
+                      <tr
+                        key={id || `row-${page}-${index}`}
+                        ref={el => { rowRefs.current[id] = el }}
+                        className={id === selectedId ? 'selected-row' : ''}
+                        onClick={() => onRowSelect(feature)}
+                      >
+                        {columns.map(column => (
+                          <td key={column.key} className={column.className || ''}>
+                            {displayValue(feature, column.key)}
+                          </td>
+                        ))}
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DataTable
@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react'
+import { useControl } from 'react-map-gl'
+import MapboxDraw from '@mapbox/mapbox-gl-draw'
+import DrawRectangleMode, { DRAW_RECTANGLE } from '../utils/drawRectangleMode'
+import '@mapbox/mapbox-gl-draw/dist/mapbox-gl-draw.css'
+
+/**
+ * mapbox-gl-draw without its own buttons: the map's toolbar switches modes
+ * through `drawRef`. It holds at most one shape, kept in step with `feature`;
+ * drawing or reshaping reports onChange(feature), deleting reports
+ * onChange(null), and finishing a shape reports onModeChange(mode).
+ */
+function DrawControl({ feature, onChange, onModeChange, drawRef }) {
+  // Map event listeners are attached once, so they read the latest props from here
+  const handlersRef = useRef({ onChange, onModeChange })
+  handlersRef.current = { onChange, onModeChange }
+
+  const draw = useControl(
+    () => new MapboxDraw({
+      displayControlsDefault: false,
+      modes: { ...MapboxDraw.modes, [DRAW_RECTANGLE]: DrawRectangleMode }
+    }),
+    ({ map }) => {
+      map.on('draw.create', handleCreate)
+      map.on('draw.update', handleUpdate)
+      map.on('draw.delete', handleDelete)
+      map.on('draw.modechange', handleModeChange)
+    },
+    ({ map }) => {
+      map.off('draw.create', handleCreate)
+      map.off('draw.update', handleUpdate)
+      map.off('draw.delete', handleDelete)
+      map.off('draw.modechange', handleModeChange)
+    }
+  )
+  if (drawRef) drawRef.current = draw
+
+  // A new shape replaces the previous one
+  function handleCreate(event) {
+    const created = event.features[0]
+    draw.delete(draw.getAll().features.map(shape => shape.id).filter(id => id !== created.id))
+    handlersRef.current.onChange(created)
+  }
+
+  function handleUpdate(event) {
+    handlersRef.current.onChange(event.features[0])
+  }
+
+  function handleDelete() {
+    handlersRef.current.onChange(null)
+  }
+
+  function handleModeChange(event) {
+    handlersRef.current.onModeChange?.(event.mode)
+  }
+
+  // Show the area chosen elsewhere (a saved area, or cleared from the panel)
+  useEffect(() => {
+    const shapes = draw.getAll().features
+    if (feature && shapes.length === 1 && shapes[0].id === feature.id) return
+    draw.deleteAll()
+    if (feature) draw.add(feature)
+  }, [draw, feature])
+
+  return null
+}
+
+export default DrawControl
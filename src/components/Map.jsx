@@ -1,35 +1,306 @@
-import { useEffect, useState, useCallback } from 'react'
-import Map, { Marker, Popup, Source, Layer, NavigationControl } from 'react-map-gl'
-import { fetchNeighborhoodData } from '../utils/arcgis'
+import { useEffect, useState, useCallback, useMemo, useRef } from 'react'
+import Map, { Popup, Source, Layer, NavigationControl } from 'react-map-gl'
+import { boundaryName } from '../utils/featureSchema'
+import { CATEGORIES, FALLBACK_CATEGORY, countByCategory, getCategory, getCategoryColor } from '../utils/taxonomy'
+import { viewsDiffer } from '../utils/urlState'
+import { MAP_STYLES } from '../config/mapStyles'
+import DrawControl from './DrawControl'
+import { DRAW_RECTANGLE } from '../utils/drawRectangleMode'
+import { groupColocated } from '../utils/colocation'
+import { formatSnapshotDate } from '../utils/history'
+import { AGE_BUCKETS, ageBucket, describeLastVerified } from '../utils/freshness'
+import { townName } from '../utils/boundaries'
+import { MUNICIPALITIES, DEFAULT_TOWN_COLORS, getMunicipality } from '../config/municipalities'
+import { circlePolygon, featuresBounds, fitBounds, geometryBounds } from '../utils/geometry'
+import {
+  DENSITY_COLORS,
+  DENSITY_METRICS,
+  NO_DATA_COLOR,
+  classColors,
+  classIndex,
+  formatDensity,
+  hasPopulation,
+  measureDensity,
+  quantileBreaks
+} from '../utils/density'
 import 'mapbox-gl/dist/mapbox-gl.css'
 import '../css/Map.css'
 
-function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selectedCity, selectedNeighborhood }) {
-  const [viewState, setViewState] = useState({
+const SPACES_SOURCE = 'spaces'
+
+// Spaces closer than this are treated as sharing a building
+const COLOCATION_TOLERANCE_METERS = Number(import.meta.env.VITE_COLOCATION_TOLERANCE_METERS) || 10
+
+// Clusters break apart above this zoom; selecting a space zooms to at least 14 so it stands alone
+const CLUSTER_MAX_ZOOM = 13
+
+// Spaces per category in each cluster, counted by primary category so they add up to point_count
+const CLUSTER_PROPERTIES = Object.fromEntries(CATEGORIES.map(category => [
+  category.id,
+  ['+', ['case', ['==', ['get', 'category'], category.id], 1, 0]]
+]))
+
+// Clusters take the color of the category with the most spaces in them
+const CLUSTER_COLOR = [
+  'case',
+  ...CATEGORIES.flatMap(category => [
+    ['all', ...CATEGORIES
+      .filter(other => other.id !== category.id)
+      .map(other => ['>=', ['get', category.id], ['get', other.id]])],
+    category.color
+  ]),
+  FALLBACK_CATEGORY.color
+]
+
+const clusterLayer = {
+  id: 'space-clusters',
+  type: 'circle',
+  filter: ['has', 'point_count'],
+  paint: {
+    'circle-color': CLUSTER_COLOR,
+    'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 50, 24],
+    'circle-opacity': 0.85,
+    'circle-stroke-color': '#ffffff',
+    'circle-stroke-width': 2
+  }
+}
+
+const clusterCountLayer = {
+  id: 'space-cluster-count',
+  type: 'symbol',
+  filter: ['has', 'point_count'],
+  layout: {
+    'text-field': ['get', 'point_count_abbreviated'],
+    'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'],
+    'text-size': 12,
+    'text-allow-overlap': true
+  },
+  paint: {
+    'text-color': '#ffffff'
+  }
+}
+
+// Single spaces; hover and selection come from feature-state
+const pointLayer = {
+  id: 'space-points',
+  type: 'circle',
+  filter: ['!', ['has', 'point_count']],
+  paint: {
+    'circle-color': [
+      'case',
+      ['boolean', ['feature-state', 'selected'], false], '#87CEEB', // Light blue for selected markers
+      ['get', 'color']
+    ],
+    'circle-radius': [
+      'case',
+      ['boolean', ['feature-state', 'selected'], false], 7,
+      ['boolean', ['feature-state', 'hover'], false], 6,
+      4
+    ],
+    // Spaces in more than one category get a ring in their second category's color
+    'circle-stroke-color': ['coalesce', ['get', 'ringColor'], '#ffffff'],
+    'circle-stroke-width': ['case', ['has', 'ringColor'], 2, 1],
+    // Records not verified recently fade (see AGE_BUCKETS); hovered and selected ones don't
+    'circle-opacity': [
+      'case',
+      ['any', ['boolean', ['feature-state', 'selected'], false], ['boolean', ['feature-state', 'hover'], false]], 1,
+      ['get', 'opacity']
+    ],
+    'circle-stroke-opacity': [
+      'case',
+      ['any', ['boolean', ['feature-state', 'selected'], false], ['boolean', ['feature-state', 'hover'], false]], 1,
+      ['get', 'opacity']
+    ]
+  }
+}
+
+// Where spaces are concentrated, independent of type
+const heatmapLayer = {
+  id: 'space-heatmap',
+  type: 'heatmap',
+  paint: {
+    'heatmap-weight': 1,
+    'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 9, 0.6, 15, 2],
+    'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 9, 8, 13, 20, 16, 40],
+    'heatmap-color': [
+      'interpolate', ['linear'], ['heatmap-density'],
+      0, 'rgba(255, 245, 235, 0)',
+      0.2, DENSITY_COLORS[1],
+      0.4, DENSITY_COLORS[2],
+      0.7, DENSITY_COLORS[3],
+      1, DENSITY_COLORS[4]
+    ],
+    'heatmap-opacity': 0.8
+  }
+}
+
+// Towns or neighborhoods shaded by the chosen density metric (colors are precomputed per area)
+const densityFillLayer = {
+  id: 'density-fill',
+  type: 'fill',
+  paint: {
+    'fill-color': ['get', 'fillColor'],
+    'fill-opacity': 0.75
+  }
+}
+
+const densityOutlineLayer = {
+  id: 'density-outline',
+  type: 'line',
+  paint: {
+    'line-color': '#7f2704',
+    'line-width': 1,
+    'line-opacity': 0.4
+  }
+}
+
+// Proximity search: the radius around the searched point, and the point itself
+const proximityFillLayer = {
+  id: 'proximity-fill',
+  type: 'fill',
+  filter: ['==', ['geometry-type'], 'Polygon'],
+  paint: {
+    'fill-color': '#4a90e2',
+    'fill-opacity': 0.08
+  }
+}
+
+const proximityOutlineLayer = {
+  id: 'proximity-outline',
+  type: 'line',
+  filter: ['==', ['geometry-type'], 'Polygon'],
+  paint: {
+    'line-color': '#4a90e2',
+    'line-width': 2,
+    'line-dasharray': [2, 2]
+  }
+}
+
+const proximityCenterLayer = {
+  id: 'proximity-center',
+  type: 'circle',
+  filter: ['==', ['geometry-type'], 'Point'],
+  paint: {
+    'circle-color': '#ffffff',
+    'circle-radius': 5,
+    'circle-stroke-color': '#4a90e2',
+    'circle-stroke-width': 3
+  }
+}
+
+// Spaces from earlier snapshots that are gone from the one shown (see server/history.js)
+const LOST_COLOR = '#B03A2E'
+
+const lostLayer = {
+  id: 'lost-spaces',
+  type: 'circle',
+  paint: {
+    'circle-color': '#ffffff',
+    'circle-opacity': 0.85,
+    'circle-radius': 6,
+    'circle-stroke-color': LOST_COLOR,
+    'circle-stroke-width': 2
+  }
+}
+
+// Tools for drawing a study area; anything else is mapbox-gl-draw's select/edit modes
+const DRAW_TOOLS = [
+  { mode: 'draw_polygon', label: 'Polygon', icon: 'fa-draw-polygon' },
+  { mode: DRAW_RECTANGLE, label: 'Rectangle', icon: 'fa-vector-square' }
+]
+
+const VISUAL_MODES = [
+  { id: 'points', label: 'Points', icon: 'fa-location-dot' },
+  { id: 'heatmap', label: 'Heatmap', icon: 'fa-fire' },
+  { id: 'choropleth', label: 'By area', icon: 'fa-map' }
+]
+
+// Town outline colors from the municipality registry
+const townColor = (key) => [
+  'match',
+  ['get', 'town'],
+  ...MUNICIPALITIES.flatMap(municipality => [municipality.town, municipality[key]]),
+  DEFAULT_TOWN_COLORS[key]
+]
+
+// Margin (px) kept around fitted bounds, plus room above a selected space for its popup
+const FIT_MARGIN = 20
+const POPUP_ROOM = 200
+
+const INTERACTIVE_LAYER_IDS = {
+  points: [clusterLayer.id, pointLayer.id, lostLayer.id],
+  heatmap: [lostLayer.id],
+  choropleth: [densityFillLayer.id, lostLayer.id]
+}
+
+function MapComponent({
+  data,
+  loading,
+  selectedFeature,
+  onMarkerSelect,
+  selectedCity,
+  selectedNeighborhood,
+  boundaries,
+  view,
+  onViewChange,
+  preserveView,
+  mapStyle,
+  onMapStyleChange,
+  proximity,
+  pickingPoint,
+  onPointPick,
+  studyArea,
+  onStudyAreaChange,
+  lostSpaces = [],
+  onSuggestEdit
+}) {
+  const [viewState, setViewState] = useState(() => view || {
     longitude: -74.0060,
     latitude: 40.7128,
     zoom: 12
   })
   const [selectedMarker, setSelectedMarker] = useState(null)
-  const [overlappingFeatures, setOverlappingFeatures] = useState([])
-  const [selectedOverlapIndex, setSelectedOverlapIndex] = useState(0)
   const [mapError, setMapError] = useState(null)
   const [mapboxToken, setMapboxToken] = useState(null)
   const [highlightedCities, setHighlightedCities] = useState(null)
-  const [massachusettsGeoJSON, setMassachusettsGeoJSON] = useState(null)
-  const [mapStyle, setMapStyle] = useState('mapbox://styles/mapbox/light-v11')
-  const [bostonNeighborhoods, setBostonNeighborhoods] = useState(null)
-  const [cambridgeNeighborhoods, setCambridgeNeighborhoods] = useState(null)
-  const [somervilleNeighborhoods, setSomervilleNeighborhoods] = useState(null)
-
-  const mapStyles = [
-    { value: 'mapbox://styles/mapbox/light-v11', label: 'Light' },
-    { value: 'mapbox://styles/mapbox/dark-v11', label: 'Dark' },
-    { value: 'mapbox://styles/mapbox/streets-v12', label: 'Streets' },
-    { value: 'mapbox://styles/mapbox/satellite-v9', label: 'Satellite' },
-    { value: 'mapbox://styles/mapbox/satellite-streets-v12', label: 'Satellite Streets' },
-    { value: 'mapbox://styles/mapbox/outdoors-v12', label: 'Outdoors' }
-  ]
+  const [hoveredCluster, setHoveredCluster] = useState(null)
+  const [hoveredLost, setHoveredLost] = useState(null)
+  const [hoveredArea, setHoveredArea] = useState(null)
+  const [visualMode, setVisualMode] = useState('points')
+  const [densityLevel, setDensityLevel] = useState('towns')
+  const [densityMetric, setDensityMetric] = useState('count')
+  const [drawMode, setDrawMode] = useState('simple_select')
+  const mapRef = useRef(null)
+  const drawRef = useRef(null)
+  const hoveredKeyRef = useRef(null)
+  const selectedKeyRef = useRef(null)
+  const tenantListRef = useRef(null)
+  const wrapperRef = useRef(null)
+  const controlsRef = useRef(null)
+  const legendRef = useRef(null)
+
+  // While the URL's view should be kept (page load, back/forward), skip automatic zooming
+  const preserveViewRef = useRef(preserveView)
+  preserveViewRef.current = preserveView
+
+  // Follow view changes coming from the URL (back/forward navigation)
+  useEffect(() => {
+    if (view) {
+      setViewState(prev => viewsDiffer(prev, view) ? { ...prev, ...view } : prev)
+    }
+  }, [view])
+
+  // Record the view in the URL once the map settles
+  useEffect(() => {
+    if (!onViewChange) return
+    const timeout = setTimeout(() => {
+      const { longitude, latitude, zoom } = viewState
+      if (viewsDiffer(view, { longitude, latitude, zoom })) {
+        onViewChange({ longitude, latitude, zoom })
+      }
+    }, 500)
+    return () => clearTimeout(timeout)
+  }, [viewState, view, onViewChange])
 
   // Load Mapbox token from backend API
   useEffect(() => {
@@ -55,227 +326,81 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
     loadMapboxToken()
   }, [])
 
-  // Load Massachusetts GeoJSON file from public folder
-  useEffect(() => {
-    const loadGeoJSON = async () => {
-      try {
-        const response = await fetch('/Massachusetts.geojson')
-        if (!response.ok) {
-          throw new Error(`Failed to load Massachusetts GeoJSON: ${response.status}`)
-        }
-        const geojson = await response.json()
-        setMassachusettsGeoJSON(geojson)
-      } catch (error) {
-        console.error('Error loading Massachusetts GeoJSON:', error)
-      }
-    }
-    loadGeoJSON()
-  }, [])
-
-  // Load neighborhood data for Boston, Cambridge, and Somerville
-  useEffect(() => {
-    const loadNeighborhoods = async () => {
-      try {
-        const [boston, cambridge, somerville] = await Promise.all([
-          fetchNeighborhoodData('Boston').catch(err => {
-            console.error('Error loading Boston neighborhoods:', err)
-            return null
-          }),
-          fetchNeighborhoodData('Cambridge').catch(err => {
-            console.error('Error loading Cambridge neighborhoods:', err)
-            return null
-          }),
-          fetchNeighborhoodData('Somerville').catch(err => {
-            console.error('Error loading Somerville neighborhoods:', err)
-            return null
-          })
-        ])
-
-        if (boston) setBostonNeighborhoods(boston)
-        if (cambridge) setCambridgeNeighborhoods(cambridge)
-        if (somerville) setSomervilleNeighborhoods(somerville)
-      } catch (error) {
-        console.error('Error loading neighborhood data:', error)
-      }
-    }
-    loadNeighborhoods()
-  }, [])
+  // Town and neighborhood polygons are loaded by App
+  const massachusettsGeoJSON = boundaries?.towns
+  const neighborhoodBoundaries = boundaries?.neighborhoods
 
-  // Helper function to determine space type
-  const getSpaceType = (properties) => {
-    const type = properties?.type || properties?.Type || ''
-    const typeLower = type.toLowerCase().trim()
-    
-    if (typeLower.includes('production') && typeLower.includes('presentation')) {
-      return 'both'
-    } else if (typeLower.includes('production')) {
-      return 'production'
-    } else if (typeLower.includes('presentation')) {
-      return 'presentation'
-    }
-    return 'unknown'
-  }
+  // Fit bounds into the map's current size, keeping clear of the controls at the
+  // top left and the legend at the bottom right (and, for a selection, the popup)
+  const fitView = useCallback((bounds, { maxZoom = 16, popup = false } = {}) => {
+    const wrapper = wrapperRef.current
+    if (!bounds || !wrapper?.clientWidth || !wrapper?.clientHeight) return null
 
-  // Helper function to get marker color based on space type
-  // Colors are designed to meet WCAG AA contrast ratio (3:1) against white background
-  // Reference: https://webaim.org/resources/contrastchecker/
-  const getMarkerColor = (properties, isSelected) => {
-    if (isSelected) {
-      return '#87CEEB' // Light blue for selected/highlighted markers
+    const width = wrapper.clientWidth
+    const height = wrapper.clientHeight
+    const controls = controlsRef.current
+    const legend = legendRef.current
+    const padding = {
+      top: (controls ? controls.offsetTop + controls.offsetHeight : 0) + FIT_MARGIN + (popup ? POPUP_ROOM : 0),
+      right: FIT_MARGIN,
+      bottom: FIT_MARGIN,
+      left: FIT_MARGIN
     }
-    
-    const spaceType = getSpaceType(properties)
-    switch (spaceType) {
-      case 'presentation':
-        return '#0066CC' // Dark blue - meets WCAG AA (contrast ratio ~4.5:1)
-      case 'production':
-        return '#008844' // Dark green - meets WCAG AA (contrast ratio ~4.2:1)
-      case 'both':
-        return '#663399' // Dark purple - meets WCAG AA (contrast ratio ~4.8:1)
-      case 'unknown':
-        return '#CC6600' // Dark orange - meets WCAG AA (contrast ratio ~4.1:1)
-      default:
-        return '#CC6600' // Dark orange for unknown
+    // Clear the legend along whichever edge gives up less of the map
+    if (legend) {
+      if (legend.offsetWidth / width < legend.offsetHeight / height) {
+        padding.right += width - legend.offsetLeft
+      } else {
+        padding.bottom += height - legend.offsetTop
+      }
     }
-  }
 
-  // Helper function to extract all coordinates from a geometry
-  const extractCoordinates = (geometry) => {
-    const coords = []
-    
-    if (geometry.type === 'Point') {
-      coords.push(geometry.coordinates)
-    } else if (geometry.type === 'Polygon') {
-      geometry.coordinates.forEach(ring => {
-        ring.forEach(coord => coords.push(coord))
-      })
-    } else if (geometry.type === 'MultiPolygon') {
-      geometry.coordinates.forEach(polygon => {
-        polygon.forEach(ring => {
-          ring.forEach(coord => coords.push(coord))
-        })
-      })
-    }
-    
-    return coords
-  }
+    return fitBounds(bounds, { width, height }, { padding, maxZoom })
+  }, [])
 
-  // Helper function to get marker coordinates from any geometry type
-  const getMarkerCoordinates = (geometry) => {
-    if (!geometry) return null
-    
-    if (geometry.type === 'Point') {
-      if (geometry.coordinates && Array.isArray(geometry.coordinates) && geometry.coordinates.length >= 2) {
-        return geometry.coordinates
-      }
-    } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
-      // Extract all coordinates and calculate centroid
-      const coords = extractCoordinates(geometry)
-      if (coords.length > 0) {
-        // Calculate centroid (average of all coordinates)
-        const lons = coords.map(c => c[0]).filter(val => val != null)
-        const lats = coords.map(c => c[1]).filter(val => val != null)
-        if (lons.length > 0 && lats.length > 0) {
-          const avgLon = lons.reduce((sum, val) => sum + val, 0) / lons.length
-          const avgLat = lats.reduce((sum, val) => sum + val, 0) / lats.length
-          return [avgLon, avgLat]
-        }
-        // Fallback: use first coordinate
-        if (coords[0] && coords[0].length >= 2) {
-          return coords[0]
-        }
-      }
-    }
-    
-    return null
-  }
+  // Lost spaces as points, carrying only what the hover popup shows
+  const lostGeoJSON = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: lostSpaces
+      .filter(feature => feature.properties?.coordinates)
+      .map(({ properties: { id, name, address, lastSeen, lostOn, coordinates } }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { id, name, address, lastSeen, lostOn }
+      }))
+  }), [lostSpaces])
 
-  // Debug: Log features with invalid coordinates
-  useEffect(() => {
-    if (data.length > 0) {
-      const invalidFeatures = data.filter(feature => {
-        const coords = getMarkerCoordinates(feature.geometry)
-        return !coords || coords.length < 2
-      })
-      
-      if (invalidFeatures.length > 0) {
-        console.group('⚠️ Features with invalid coordinates:')
-        invalidFeatures.forEach(feature => {
-          const name = feature.properties?.name || feature.properties?.Name || 'Unknown'
-          const city = feature.properties?.city || feature.properties?.City || 'Unknown'
-          const neighborhood = feature.properties?.neighborhood || feature.properties?.Neighborhood || 'Unknown'
-          const geometryType = feature.geometry?.type || 'No geometry'
-          console.log(`- Name: "${name}" | City: ${city} | Neighborhood: ${neighborhood} | Geometry Type: ${geometryType}`)
-          console.log('  Geometry:', feature.geometry)
-        })
-        console.groupEnd()
-      }
-    }
-  }, [data])
+  // The proximity search's radius and center
+  const proximityGeoJSON = useMemo(() => proximity && {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: {}, geometry: circlePolygon(proximity.center, proximity.radiusMeters) },
+      { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: proximity.center } }
+    ]
+  }, [proximity])
 
-  // Calculate bounds from coordinates
-  const calculateBounds = (coordinates) => {
-    if (coordinates.length === 0) return null
-
-    const lons = coordinates.map(c => c[0])
-    const lats = coordinates.map(c => c[1])
-    const minLon = Math.min(...lons)
-    const maxLon = Math.max(...lons)
-    const minLat = Math.min(...lats)
-    const maxLat = Math.max(...lats)
-
-    const centerLon = (minLon + maxLon) / 2
-    const centerLat = (minLat + maxLat) / 2
-
-    // Calculate zoom level based on bounds
-    const lonDiff = maxLon - minLon
-    const latDiff = maxLat - minLat
-    const maxDiff = Math.max(lonDiff, latDiff)
-    
-    // Calculate appropriate zoom level (increased for closer zoom)
-    let zoom = 12
-    if (maxDiff > 0.2) zoom = 11
-    if (maxDiff > 0.4) zoom = 10
-    if (maxDiff > 0.8) zoom = 9
-    if (maxDiff < 0.05) zoom = 13
-    if (maxDiff < 0.02) zoom = 14
-
-    return { longitude: centerLon, latitude: centerLat, zoom }
-  }
+  // The fitting effects below follow which spaces and cities are shown, not each rebuild of
+  // the same ones (finer town outlines loading on zoom would otherwise undo the zoom)
+  const shownSpacesKey = useMemo(() => data.map(feature => feature.properties?.id).join(','), [data])
+  const highlightedCitiesKey = useMemo(
+    () => (highlightedCities?.features || []).map(feature => feature.properties?.town).join(','),
+    [highlightedCities]
+  )
+  const fitSourcesRef = useRef(null)
+  fitSourcesRef.current = { data, highlightedCities }
 
-  // Update map bounds to fit highlighted city polygons (priority) or data points (fallback)
+  // Update map bounds to fit the proximity search, highlighted city polygons or data points, in that order
   useEffect(() => {
-    let allCoordinates = []
-
-    // Priority: Use polygon geometries if available
-    if (highlightedCities?.features && highlightedCities.features.length > 0) {
-      highlightedCities.features.forEach(feature => {
-        if (feature.geometry) {
-          const coords = extractCoordinates(feature.geometry)
-          allCoordinates.push(...coords)
-        }
-      })
+    if (preserveViewRef.current) return
+    const { data, highlightedCities } = fitSourcesRef.current
+    const bounds = (proximityGeoJSON && geometryBounds(proximityGeoJSON.features[0].geometry)) ||
+      featuresBounds(highlightedCities?.features || []) ||
+      featuresBounds(data)
+    const view = fitView(bounds, { maxZoom: 15 })
+    if (view) {
+      setViewState(prev => ({ ...prev, ...view }))
     }
-    
-    // Fallback: Use data point coordinates if no polygons
-    if (allCoordinates.length === 0 && data.length > 0) {
-      data.forEach(feature => {
-        if (feature.geometry?.type === 'Point' && feature.geometry.coordinates) {
-          allCoordinates.push(feature.geometry.coordinates)
-        }
-      })
-    }
-
-    if (allCoordinates.length > 0) {
-      const bounds = calculateBounds(allCoordinates)
-      if (bounds) {
-        setViewState(prev => ({
-          ...prev,
-          ...bounds
-        }))
-      }
-    }
-  }, [highlightedCities, data])
+  }, [proximityGeoJSON, highlightedCitiesKey, shownSpacesKey, fitView])
 
   // Filter Massachusetts GeoJSON to highlight cities from the feature service data
   useEffect(() => {
@@ -284,7 +409,7 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
     // Extract unique cities from the feature service data
     const citiesFromData = new Set(
       data
-        .map(f => f.properties?.city || f.properties?.City)
+        .map(f => f.properties?.city)
         .filter(Boolean)
         .map(c => c.toUpperCase().trim())
     )
@@ -295,14 +420,10 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
     }
 
     // Filter Massachusetts features to only include cities that exist in the data
-    // Exclude Watertown from boundaries
     const matchingFeatures = massachusettsGeoJSON.features.filter(feature => {
       const townName = feature.properties?.town
       if (!townName) return false
-      const townUpper = townName.toUpperCase().trim()
-      // Exclude Watertown
-      if (townUpper === 'WATERTOWN') return false
-      return citiesFromData.has(townUpper)
+      return citiesFromData.has(townName.toUpperCase().trim())
     })
 
     if (matchingFeatures.length > 0) {
@@ -317,7 +438,9 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
 
   // Zoom to selected city polygon when city is selected (only if no neighborhood is selected)
   useEffect(() => {
+    const { highlightedCities } = fitSourcesRef.current
     if (!selectedCity || !highlightedCities?.features || selectedNeighborhood) return
+    if (preserveViewRef.current) return
 
     // Find the polygon for the selected city
     const cityPolygon = highlightedCities.features.find(feature => {
@@ -326,144 +449,283 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
       return townName.toUpperCase().trim() === selectedCity.toUpperCase().trim()
     })
 
-    if (cityPolygon && cityPolygon.geometry) {
-      const coords = extractCoordinates(cityPolygon.geometry)
-      if (coords.length > 0) {
-        const bounds = calculateBounds(coords)
-        if (bounds) {
-          setViewState(prev => ({
-            ...prev,
-            ...bounds
-          }))
-        }
-      }
+    const view = fitView(geometryBounds(cityPolygon?.geometry))
+    if (view) {
+      setViewState(prev => ({ ...prev, ...view }))
     }
-  }, [selectedCity, highlightedCities, selectedNeighborhood])
+  }, [selectedCity, highlightedCitiesKey, selectedNeighborhood, fitView])
 
   // Zoom to selected neighborhood polygon when neighborhood is selected
   useEffect(() => {
     if (!selectedNeighborhood || !selectedCity) return
+    if (preserveViewRef.current) return
 
-    // Determine which neighborhood data to use based on selected city
-    let neighborhoodData = null
-    if (selectedCity.toUpperCase().trim() === 'BOSTON' && bostonNeighborhoods) {
-      neighborhoodData = bostonNeighborhoods
-    } else if (selectedCity.toUpperCase().trim() === 'CAMBRIDGE' && cambridgeNeighborhoods) {
-      neighborhoodData = cambridgeNeighborhoods
-    } else if (selectedCity.toUpperCase().trim() === 'SOMERVILLE' && somervilleNeighborhoods) {
-      neighborhoodData = somervilleNeighborhoods
-    }
+    // Neighborhood polygons of the selected city, if it's in the registry
+    const municipality = getMunicipality(selectedCity)
+    const neighborhoodData = municipality && neighborhoodBoundaries?.[municipality.name]
 
     if (!neighborhoodData?.features) return
 
-    // Find the neighborhood polygon - try multiple possible property names
+    // Find the neighborhood polygon
     const neighborhoodPolygon = neighborhoodData.features.find(feature => {
-      const props = feature.properties || {}
-      // Try common property names for neighborhood
-      const neighborhoodName = props.name || 
-                              props.neighborhood || 
-                              props.NAME || 
-                              props.NEIGHBORHOOD ||
-                              props.Neighborhood ||
-                              props.Name ||
-                              ''
-      
+      const neighborhoodName = boundaryName(feature.properties)
       if (!neighborhoodName) return false
       return neighborhoodName.toUpperCase().trim() === selectedNeighborhood.toUpperCase().trim()
     })
 
-    if (neighborhoodPolygon && neighborhoodPolygon.geometry) {
-      const coords = extractCoordinates(neighborhoodPolygon.geometry)
-      if (coords.length > 0) {
-        const bounds = calculateBounds(coords)
-        // Use a higher zoom level for neighborhoods (they're smaller than cities)
-        if (bounds) {
-          setViewState(prev => ({
-            ...prev,
-            ...bounds,
-            zoom: Math.max(bounds.zoom, 14) // Ensure at least zoom level 14 for neighborhoods
-          }))
-        }
-      }
+    const view = fitView(geometryBounds(neighborhoodPolygon?.geometry))
+    if (view) {
+      setViewState(prev => ({ ...prev, ...view }))
     }
-  }, [selectedNeighborhood, selectedCity, bostonNeighborhoods, cambridgeNeighborhoods, somervilleNeighborhoods])
-
-  // Helper function to check if two coordinates are the same (with small tolerance)
-  const areCoordinatesSame = (coords1, coords2, tolerance = 0.0001) => {
-    if (!coords1 || !coords2 || coords1.length < 2 || coords2.length < 2) return false
-    return Math.abs(coords1[0] - coords2[0]) < tolerance && Math.abs(coords1[1] - coords2[1]) < tolerance
-  }
+  }, [selectedNeighborhood, selectedCity, neighborhoodBoundaries, fitView])
 
-  const handleMarkerClick = useCallback((feature, event) => {
-    event.originalEvent.stopPropagation()
-    
-    // Find all features at the same coordinates
-    const clickedCoords = getMarkerCoordinates(feature.geometry)
-    if (!clickedCoords) return
-    
-    const overlapping = data.filter(f => {
-      const coords = getMarkerCoordinates(f.geometry)
-      return coords && areCoordinatesSame(coords, clickedCoords)
-    })
-    
-    if (overlapping.length > 1) {
-      // Multiple features at same location - show scrollable list
-      setOverlappingFeatures(overlapping)
-      setSelectedOverlapIndex(0)
-      setSelectedMarker(overlapping[0])
-      if (onMarkerSelect) {
-        onMarkerSelect(overlapping[0])
-      }
-    } else {
-      // Single feature - normal behavior
-      setOverlappingFeatures([])
-      setSelectedOverlapIndex(0)
-      setSelectedMarker(feature)
-      if (onMarkerSelect) {
-        onMarkerSelect(feature)
-      }
+  const handleMarkerClick = useCallback((feature) => {
+    setSelectedMarker(feature)
+    if (onMarkerSelect) {
+      onMarkerSelect(feature)
     }
-  }, [onMarkerSelect, data])
+  }, [onMarkerSelect])
+
+  // Spaces sharing a location, grouped once per data change
+  const colocatedGroups = useMemo(
+    () => groupColocated(data, COLOCATION_TOLERANCE_METERS),
+    [data]
+  )
 
   // Sync selectedFeature prop with selectedMarker state
   useEffect(() => {
-    if (selectedFeature) {
-      setSelectedMarker(selectedFeature)
-      
-      // Check if there are overlapping features at this location
-      const coords = getMarkerCoordinates(selectedFeature.geometry)
-      if (coords) {
-        const overlapping = data.filter(f => {
-          const fCoords = getMarkerCoordinates(f.geometry)
-          return fCoords && areCoordinatesSame(fCoords, coords)
-        })
-        
-        if (overlapping.length > 1) {
-          const index = overlapping.findIndex(f => f === selectedFeature)
-          setOverlappingFeatures(overlapping)
-          setSelectedOverlapIndex(index >= 0 ? index : 0)
-        } else {
-          setOverlappingFeatures([])
-          setSelectedOverlapIndex(0)
+    if (selectedFeature) setSelectedMarker(selectedFeature)
+  }, [selectedFeature])
+
+  // Pan to the selected space, zooming in if needed, with room above it for the popup.
+  // Keyed on its id: the data is rebuilt when the town boundaries refine on zoom,
+  // and the new copy of the same space shouldn't undo the user's zoom
+  const selectedFeatureRef = useRef(selectedFeature)
+  selectedFeatureRef.current = selectedFeature
+  const selectedFeatureId = selectedFeature?.properties?.id
+  useEffect(() => {
+    const coords = selectedFeatureRef.current?.properties?.coordinates
+    if (coords && !preserveViewRef.current) {
+      const [lng, lat] = coords
+      setViewState(prev => ({
+        ...prev,
+        ...(fitView([lng, lat, lng, lat], { maxZoom: Math.max(prev.zoom, 14), popup: true }) ||
+          { longitude: lng, latitude: lat, zoom: Math.max(prev.zoom, 14) })
+      }))
+    }
+  }, [selectedFeatureId, fitView])
+
+  // Keep keyboard focus on the selected tenant as the list is navigated
+  useEffect(() => {
+    const list = tenantListRef.current
+    if (list?.contains(document.activeElement)) {
+      list.querySelector('.popup-tenant.active')?.focus()
+    }
+  }, [selectedFeature, selectedMarker])
+
+  const handleTenantKeyDown = (event, tenants, index) => {
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[event.key]
+    if (!step) return
+    event.preventDefault()
+    handleMarkerClick(tenants[(index + step + tenants.length) % tenants.length])
+  }
+
+  // Spaces as a GeoJSON source for clustering. Each point carries a `key` (the space id,
+  // promoted to the feature id for feature-state) and its colors.
+  const spaces = useMemo(() => {
+    const byKey = new globalThis.Map()
+    const keyOf = new globalThis.Map()
+    const features = []
+
+    data.forEach((feature, index) => {
+      const props = feature.properties
+      if (!props?.coordinates) return
+      const key = props.id ? String(props.id) : `space-${index}`
+      byKey.set(key, feature)
+      keyOf.set(feature, key)
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: props.coordinates },
+        properties: {
+          key,
+          category: props.categories?.[0] || FALLBACK_CATEGORY.id,
+          color: getCategoryColor(props.categories),
+          opacity: ageBucket(feature).opacity,
+          ...(props.categories?.length > 1 && { ringColor: getCategory(props.categories[1]).color })
         }
+      })
+    })
+
+    return { geojson: { type: 'FeatureCollection', features }, byKey, keyOf }
+  }, [data])
+
+  const currentSelection = selectedFeature || selectedMarker
+  const selectedKey = (currentSelection && spaces.keyOf.get(currentSelection)) ?? null
+
+  const setSpaceState = useCallback((key, state) => {
+    const map = mapRef.current?.getMap()
+    if (key === null || !map?.getSource(SPACES_SOURCE)) return
+    map.setFeatureState({ source: SPACES_SOURCE, id: key }, state)
+  }, [])
+
+  // Highlight the selected space through feature-state instead of re-rendering markers
+  useEffect(() => {
+    const previousKey = selectedKeyRef.current
+    if (previousKey !== null && previousKey !== selectedKey) {
+      setSpaceState(previousKey, { selected: false })
+    }
+    selectedKeyRef.current = selectedKey
+    setSpaceState(selectedKey, { selected: true })
+  }, [selectedKey, setSpaceState])
+
+  // Feature-state is dropped when the source reloads (new data or basemap), so reapply it
+  const handleSourceData = useCallback((event) => {
+    if (event.sourceId === SPACES_SOURCE && event.isSourceLoaded) {
+      setSpaceState(selectedKeyRef.current, { selected: true })
+    }
+  }, [setSpaceState])
+
+  const setHoveredKey = useCallback((key) => {
+    if (hoveredKeyRef.current === key) return
+    if (hoveredKeyRef.current !== null) {
+      setSpaceState(hoveredKeyRef.current, { hover: false })
+    }
+    hoveredKeyRef.current = key
+    setSpaceState(key, { hover: true })
+  }, [setSpaceState])
+
+  const handleMouseMove = useCallback((event) => {
+    const feature = event.features?.[0]
+    event.target.getCanvas().style.cursor = pickingPoint ? 'crosshair' : feature ? 'pointer' : ''
+
+    setHoveredKey(feature?.layer.id === pointLayer.id ? feature.id : null)
+
+    // Show the density figures of the area under the cursor
+    const area = feature?.layer.id === densityFillLayer.id ? feature : null
+    setHoveredArea(prev => {
+      if (!area) return null
+      if (prev?.name === area.properties.name) return prev
+      return { ...area.properties, coordinates: [event.lngLat.lng, event.lngLat.lat] }
+    })
+
+    // Show the name and dates of the lost space under the cursor
+    const lost = feature?.layer.id === lostLayer.id ? feature : null
+    setHoveredLost(prev => {
+      if ((prev?.properties.id ?? null) === (lost?.properties.id ?? null)) return prev
+      return lost && { coordinates: lost.geometry.coordinates, properties: lost.properties }
+    })
+
+    // Show the type breakdown of the cluster under the cursor
+    const clusterId = feature?.layer.id === clusterLayer.id ? feature.properties.cluster_id : null
+    setHoveredCluster(prev => {
+      if ((prev?.id ?? null) === clusterId) return prev
+      return clusterId === null ? null : {
+        id: clusterId,
+        coordinates: feature.geometry.coordinates,
+        properties: feature.properties
       }
-      
-      // Pan to selected feature - handle all geometry types
-      if (coords && coords.length >= 2) {
-        const [lng, lat] = coords
-        setViewState(prev => ({
-          ...prev,
-          longitude: lng,
-          latitude: lat,
-          zoom: Math.max(prev.zoom, 14) // Zoom in if needed
-        }))
-      }
-    } else {
-      // Clear overlapping features when selection is cleared
-      setOverlappingFeatures([])
-      setSelectedOverlapIndex(0)
+    })
+  }, [setHoveredKey, pickingPoint])
+
+  const handleMouseOut = useCallback(() => {
+    setHoveredKey(null)
+    setHoveredCluster(null)
+    setHoveredArea(null)
+    setHoveredLost(null)
+  }, [setHoveredKey])
+
+  const drawing = DRAW_TOOLS.some(tool => tool.mode === drawMode)
+
+  // The draw control starts over with each basemap
+  useEffect(() => {
+    setDrawMode('simple_select')
+  }, [mapStyle])
+
+  // Start drawing a study area with a tool, or stop if it's already active
+  const toggleDrawTool = useCallback((mode) => {
+    const draw = drawRef.current
+    if (!draw) return
+    const next = drawMode === mode ? 'simple_select' : mode
+    draw.changeMode(next)
+    setDrawMode(next)
+  }, [drawMode])
+
+  // Crosshair over the whole map while picking a point, without waiting for the mouse to move
+  useEffect(() => {
+    const canvas = mapRef.current?.getMap()?.getCanvas()
+    if (canvas) canvas.style.cursor = pickingPoint ? 'crosshair' : ''
+  }, [pickingPoint])
+
+  // Clicking a cluster zooms in until it splits; clicking a point selects that space.
+  // While picking a point (a proximity search center or a suggested space's location),
+  // any click picks the point instead.
+  const handleMapClick = useCallback((event) => {
+    // Clicks place vertices while drawing a study area
+    if (drawing) return
+
+    if (pickingPoint) {
+      onPointPick([event.lngLat.lng, event.lngLat.lat])
+      return
+    }
+
+    const feature = event.features?.[0]
+    if (!feature || feature.layer.id === densityFillLayer.id || feature.layer.id === lostLayer.id) return
+
+    if (feature.layer.id === clusterLayer.id) {
+      const map = event.target
+      map.getSource(SPACES_SOURCE).getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+        if (error) return
+        map.easeTo({ center: feature.geometry.coordinates, zoom })
+      })
+      return
+    }
+
+    const space = spaces.byKey.get(feature.id)
+    if (space) handleMarkerClick(space)
+  }, [spaces, handleMarkerClick, pickingPoint, onPointPick, drawing])
+
+  // Areas for the choropleth: the highlighted towns, or every loaded neighborhood
+  const densityAreas = useMemo(() => {
+    if (densityLevel === 'towns') return highlightedCities?.features || []
+    return Object.values(neighborhoodBoundaries || {})
+      .flatMap(collection => collection?.features || [])
+  }, [densityLevel, highlightedCities, neighborhoodBoundaries])
+
+  const populationAvailable = useMemo(() => hasPopulation(densityAreas), [densityAreas])
+  const activeMetric = DENSITY_METRICS.find(metric =>
+    metric.id === densityMetric && (!metric.needsPopulation || populationAvailable)
+  ) || DENSITY_METRICS[0]
+
+  // Space density per area, classed into quantiles for the fill colors and legend
+  const density = useMemo(() => {
+    if (visualMode !== 'choropleth') return null
+
+    const nameOf = densityLevel === 'towns' ? townName : boundaryName
+    const areas = measureDensity(densityAreas, data, activeMetric.id, nameOf)
+    const breaks = quantileBreaks(areas.map(area => area.properties.value))
+    const colors = classColors(breaks.length - 1)
+    areas.forEach(area => {
+      const index = classIndex(area.properties.value, breaks)
+      area.properties.fillColor = index < 0 ? NO_DATA_COLOR : colors[index]
+    })
+
+    return {
+      geojson: { type: 'FeatureCollection', features: areas },
+      breaks,
+      colors,
+      hasNoData: areas.some(area => area.properties.value === null)
     }
-  }, [selectedFeature, data])
+  }, [visualMode, densityLevel, densityAreas, data, activeMetric])
+
+  // Boundary fills would muddy the choropleth colors, and space markers only show in point mode
+  const boundaryFillLayout = { visibility: visualMode === 'choropleth' ? 'none' : 'visible' }
+  const spacesLayout = { visibility: visualMode === 'points' ? 'visible' : 'none' }
+
+  // Legend lists the categories present in the current data
+  const legendCategories = useMemo(() => {
+    const present = countByCategory(data)
+    return present.length > 0 ? present : CATEGORIES
+  }, [data])
 
   if (!mapboxToken) {
     return (
@@ -477,7 +739,7 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
   }
 
   return (
-    <div className="map-wrapper">
+    <div className="map-wrapper" ref={wrapperRef}>
       {loading && (
         <div className="map-loading">
           <div className="loading-spinner"></div>
@@ -494,8 +756,14 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
         </div>
       )}
       <Map
+        ref={mapRef}
         {...viewState}
         onMove={evt => setViewState(evt.viewState)}
+        interactiveLayerIds={INTERACTIVE_LAYER_IDS[visualMode]}
+        onClick={handleMapClick}
+        onMouseMove={handleMouseMove}
+        onMouseOut={handleMouseOut}
+        onSourceData={handleSourceData}
               onError={(error) => {
                 console.error('Map error:', error)
                 if (error.error?.status === 403) {
@@ -506,25 +774,97 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
               }}
               mapboxAccessToken={mapboxToken}
         style={{ width: '100%', height: '100%' }}
-        mapStyle={mapStyle}
+        mapStyle={(MAP_STYLES.find(style => style.id === mapStyle) || MAP_STYLES[0]).value}
       >
         {/* Map Style Selector */}
         <div className="map-style-control">
           <select
             className="map-style-select"
             value={mapStyle}
-            onChange={(e) => setMapStyle(e.target.value)}
+            onChange={(e) => onMapStyleChange(e.target.value)}
           >
-            {mapStyles.map(style => (
-              <option key={style.value} value={style.value}>
+            {MAP_STYLES.map(style => (
+              <option key={style.id} value={style.id}>
                 {style.label}
               </option>
             ))}
           </select>
         </div>
 
+        {/* Visualization Mode */}
+        <div className="map-mode-control" ref={controlsRef}>
+          <div className="map-mode-buttons" role="group" aria-label="Visualization mode">
+            {VISUAL_MODES.map(mode => (
+              <button
+                key={mode.id}
+                className={`map-mode-button ${visualMode === mode.id ? 'active' : ''}`}
+                aria-pressed={visualMode === mode.id}
+                onClick={() => setVisualMode(mode.id)}
+              >
+                <i className={`fa-solid ${mode.icon}`}></i>
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <div className="map-mode-buttons" role="group" aria-label="Draw a study area">
+            {DRAW_TOOLS.map(tool => (
+              <button
+                key={tool.mode}
+                className={`map-mode-button ${drawMode === tool.mode ? 'active' : ''}`}
+                aria-pressed={drawMode === tool.mode}
+                onClick={() => toggleDrawTool(tool.mode)}
+                title={`Draw a ${tool.label.toLowerCase()} to filter spaces`}
+              >
+                <i className={`fa-solid ${tool.icon}`}></i>
+                {tool.label}
+              </button>
+            ))}
+            {studyArea && (
+              <button className="map-mode-button" onClick={() => onStudyAreaChange(null)} title="Clear the study area">
+                <i className="fa-solid fa-xmark"></i>
+                Clear area
+              </button>
+            )}
+          </div>
+          {visualMode === 'choropleth' && (
+            <div className="map-mode-options">
+              <select
+                className="map-style-select"
+                value={densityLevel}
+                onChange={(e) => setDensityLevel(e.target.value)}
+              >
+                <option value="towns">Towns</option>
+                <option value="neighborhoods">Neighborhoods</option>
+              </select>
+              <select
+                className="map-style-select"
+                value={activeMetric.id}
+                onChange={(e) => setDensityMetric(e.target.value)}
+              >
+                {DENSITY_METRICS.map(metric => (
+                  <option
+                    key={metric.id}
+                    value={metric.id}
+                    disabled={metric.needsPopulation && !populationAvailable}
+                  >
+                    {metric.label}{metric.needsPopulation && !populationAvailable ? ' (no population data)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
         {/* Navigation Controls */}
         <NavigationControl position="top-right" />
+        {/* Draw's layers don't survive a basemap change, so it's re-added with each style */}
+        <DrawControl
+          key={mapStyle}
+          feature={studyArea}
+          onChange={onStudyAreaChange}
+          onModeChange={setDrawMode}
+          drawRef={drawRef}
+        />
 
         {/* Highlighted cities from Massachusetts GeoJSON */}
         {highlightedCities && (
@@ -532,13 +872,9 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
             <Layer
               id="city-fill"
               type="fill"
+              layout={boundaryFillLayout}
               paint={{
-                'fill-color': [
-                  'case',
-                  ['==', ['get', 'town'], 'BOSTON'], '#ffcccc', // Light red for Boston
-                  ['==', ['get', 'town'], 'SOMERVILLE'], '#ffffcc', // Light yellow for Somerville
-                  '#4a90e2' // Default blue for Cambridge
-                ],
+                'fill-color': townColor('fillColor'),
                 'fill-opacity': 0.15
               }}
             />
@@ -546,12 +882,7 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
               id="city-stroke"
               type="line"
               paint={{
-                'line-color': [
-                  'case',
-                  ['==', ['get', 'town'], 'BOSTON'], '#ff6666',
-                  ['==', ['get', 'town'], 'SOMERVILLE'], '#cccc00',
-                  '#4a90e2'
-                ],
+                'line-color': townColor('lineColor'),
                 'line-width': 2,
                 'line-opacity': 0.6
               }}
@@ -559,133 +890,167 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
           </Source>
         )}
 
-        {/* Boston Neighborhoods */}
-        {bostonNeighborhoods && (
-          <Source id="boston-neighborhoods" type="geojson" data={bostonNeighborhoods}>
-            <Layer
-              id="boston-neighborhoods-fill"
-              type="fill"
-              paint={{
-                'fill-color': '#ffcccc',
-                'fill-opacity': 0.1
-              }}
-            />
-            <Layer
-              id="boston-neighborhoods-stroke"
-              type="line"
-              paint={{
-                'line-color': '#ff6666',
-                'line-width': 1.5,
-                'line-opacity': 0.5
-              }}
-            />
+        {/* Neighborhoods of each municipality in the registry */}
+        {MUNICIPALITIES
+          .filter(municipality => neighborhoodBoundaries?.[municipality.name])
+          .map(municipality => (
+            <Source
+              key={municipality.id}
+              id={`${municipality.id}-neighborhoods`}
+              type="geojson"
+              data={neighborhoodBoundaries[municipality.name]}
+            >
+              <Layer
+                id={`${municipality.id}-neighborhoods-fill`}
+                type="fill"
+                layout={boundaryFillLayout}
+                paint={{
+                  'fill-color': municipality.fillColor,
+                  'fill-opacity': 0.1
+                }}
+              />
+              <Layer
+                id={`${municipality.id}-neighborhoods-stroke`}
+                type="line"
+                paint={{
+                  'line-color': municipality.lineColor,
+                  'line-width': 1.5,
+                  'line-opacity': 0.5
+                }}
+              />
+            </Source>
+          ))}
+
+        {/* Space density by area */}
+        {density && (
+          <Source id="density" type="geojson" data={density.geojson}>
+            <Layer {...densityFillLayer} />
+            <Layer {...densityOutlineLayer} />
           </Source>
         )}
 
-        {/* Cambridge Neighborhoods */}
-        {cambridgeNeighborhoods && (
-          <Source id="cambridge-neighborhoods" type="geojson" data={cambridgeNeighborhoods}>
-            <Layer
-              id="cambridge-neighborhoods-fill"
-              type="fill"
-              paint={{
-                'fill-color': '#4a90e2',
-                'fill-opacity': 0.1
-              }}
-            />
-            <Layer
-              id="cambridge-neighborhoods-stroke"
-              type="line"
-              paint={{
-                'line-color': '#4a90e2',
-                'line-width': 1.5,
-                'line-opacity': 0.5
-              }}
-            />
+        {visualMode === 'heatmap' && (
+          <Source id="spaces-heatmap" type="geojson" data={spaces.geojson}>
+            <Layer {...heatmapLayer} />
           </Source>
         )}
 
-        {/* Somerville Neighborhoods */}
-        {somervilleNeighborhoods && (
-          <Source id="somerville-neighborhoods" type="geojson" data={somervilleNeighborhoods}>
-            <Layer
-              id="somerville-neighborhoods-fill"
-              type="fill"
-              paint={{
-                'fill-color': '#ffffcc',
-                'fill-opacity': 0.1
-              }}
-            />
-            <Layer
-              id="somerville-neighborhoods-stroke"
-              type="line"
-              paint={{
-                'line-color': '#cccc00',
-                'line-width': 1.5,
-                'line-opacity': 0.5
-              }}
-            />
+        {/* Proximity search radius, under the spaces */}
+        {proximityGeoJSON && (
+          <Source id="proximity" type="geojson" data={proximityGeoJSON}>
+            <Layer {...proximityFillLayer} />
+            <Layer {...proximityOutlineLayer} />
+            <Layer {...proximityCenterLayer} />
           </Source>
         )}
 
-        {/* Markers for each space - display all features with valid geometry */}
-        {data.map((feature, index) => {
-          const markerCoords = getMarkerCoordinates(feature.geometry)
-          if (!markerCoords || markerCoords.length < 2) return null
-          
-          const [lng, lat] = markerCoords
-          const props = feature.properties || {}
-          const currentSelected = selectedFeature || selectedMarker
-          
-          // Check if this feature is selected (compare by feature reference or coordinates)
-          const isSelected = currentSelected && (
-            currentSelected === feature ||
-            (currentSelected.geometry && 
-             getMarkerCoordinates(currentSelected.geometry) &&
-             getMarkerCoordinates(currentSelected.geometry)[0] === lng && 
-             getMarkerCoordinates(currentSelected.geometry)[1] === lat)
-          )
+        {/* Lost spaces, under the current ones */}
+        {lostSpaces.length > 0 && (
+          <Source id="lost-spaces" type="geojson" data={lostGeoJSON}>
+            <Layer {...lostLayer} />
+          </Source>
+        )}
 
-          const markerColor = getMarkerColor(props, isSelected)
+        {/* Spaces, clustered where they're dense */}
+        <Source
+          id={SPACES_SOURCE}
+          type="geojson"
+          data={spaces.geojson}
+          cluster={true}
+          clusterMaxZoom={CLUSTER_MAX_ZOOM}
+          clusterRadius={40}
+          clusterProperties={CLUSTER_PROPERTIES}
+          promoteId="key"
+        >
+          <Layer {...clusterLayer} layout={spacesLayout} />
+          <Layer {...clusterCountLayer} layout={{ ...clusterCountLayer.layout, ...spacesLayout }} />
+          <Layer {...pointLayer} layout={spacesLayout} />
+        </Source>
 
-          return (
-            <Marker
-              key={index}
-              longitude={lng}
-              latitude={lat}
-              anchor="center"
-              onClick={(e) => handleMarkerClick(feature, e)}
-            >
-              <div className={`custom-marker ${isSelected ? 'highlighted' : ''}`}>
-                <svg
-                  width={isSelected ? "12" : "8"}
-                  height={isSelected ? "12" : "8"}
-                  viewBox="0 0 8 8"
-                  fill="none"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <circle
-                    cx="4"
-                    cy="4"
-                    r={isSelected ? "4" : "3"}
-                    fill={markerColor}
-                  />
-                </svg>
-              </div>
-            </Marker>
-          )
-        })}
+        {/* Density figures for the hovered area */}
+        {hoveredArea && (
+          <Popup
+            longitude={hoveredArea.coordinates[0]}
+            latitude={hoveredArea.coordinates[1]}
+            anchor="bottom"
+            offset={[0, -8]}
+            closeButton={false}
+            closeOnClick={false}
+            className="cluster-popup"
+          >
+            <div className="cluster-breakdown">
+              <div className="cluster-breakdown-title">{hoveredArea.name}</div>
+              <span className="legend-label">{hoveredArea.count} {hoveredArea.count === 1 ? 'space' : 'spaces'}</span>
+              {activeMetric.id !== 'count' && (
+                <span className="legend-label">
+                  {formatDensity(hoveredArea.value, activeMetric.id)} {hoveredArea.value !== null && activeMetric.unit}
+                </span>
+              )}
+            </div>
+          </Popup>
+        )}
+
+        {/* Name and dates of the hovered lost space */}
+        {hoveredLost && (
+          <Popup
+            longitude={hoveredLost.coordinates[0]}
+            latitude={hoveredLost.coordinates[1]}
+            anchor="bottom"
+            offset={[0, -8]}
+            closeButton={false}
+            closeOnClick={false}
+            className="cluster-popup"
+          >
+            <div className="cluster-breakdown">
+              <div className="cluster-breakdown-title">{hoveredLost.properties.name || 'Unnamed space'}</div>
+              {hoveredLost.properties.address && (
+                <span className="legend-label">{hoveredLost.properties.address}</span>
+              )}
+              <span className="legend-label lost-dates">
+                Last listed {formatSnapshotDate(hoveredLost.properties.lastSeen)},
+                gone by {formatSnapshotDate(hoveredLost.properties.lostOn)}
+              </span>
+            </div>
+          </Popup>
+        )}
+
+        {/* Type breakdown for the hovered cluster */}
+        {hoveredCluster && (
+          <Popup
+            longitude={hoveredCluster.coordinates[0]}
+            latitude={hoveredCluster.coordinates[1]}
+            anchor="bottom"
+            offset={[0, -20]}
+            closeButton={false}
+            closeOnClick={false}
+            className="cluster-popup"
+          >
+            <div className="cluster-breakdown">
+              <div className="cluster-breakdown-title">{hoveredCluster.properties.point_count} spaces</div>
+              {CATEGORIES
+                .filter(category => hoveredCluster.properties[category.id] > 0)
+                .map(category => (
+                  <div key={category.id} className="legend-item">
+                    <div className="legend-dot" style={{ backgroundColor: category.color }}></div>
+                    <span className="legend-label">
+                      {category.label}: {hoveredCluster.properties[category.id]}
+                    </span>
+                  </div>
+                ))}
+              <div className="cluster-breakdown-hint">Click to zoom in</div>
+            </div>
+          </Popup>
+        )}
 
         {/* Popup for selected marker */}
         {(selectedFeature || selectedMarker) && (() => {
           const feature = selectedFeature || selectedMarker
-          const coords = getMarkerCoordinates(feature.geometry)
-          if (!coords || coords.length < 2) return null
+          const coords = feature.properties?.coordinates
+          if (!coords) return null
           
-          // Use overlapping features if available, otherwise use single feature
-          const featuresToShow = overlappingFeatures.length > 1 ? overlappingFeatures : [feature]
-          const currentFeature = featuresToShow[selectedOverlapIndex] || feature
-          const hasMultiple = overlappingFeatures.length > 1
+          // Every space at this location (a multi-tenant building), or none
+          const tenants = colocatedGroups.get(feature) || []
+          const tenantIndex = tenants.indexOf(feature)
           
           return (
             <Popup
@@ -695,8 +1060,6 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
               offset={[0, -10]}
               onClose={() => {
                 setSelectedMarker(null)
-                setOverlappingFeatures([])
-                setSelectedOverlapIndex(0)
                 if (onMarkerSelect) {
                   onMarkerSelect(null)
                 }
@@ -706,129 +1069,191 @@ function MapComponent({ data, loading, selectedFeature, onMarkerSelect, selected
               style={{ maxWidth: '400px', zIndex: 999 }}
             >
               <div className="popup-content">
-                {currentFeature.properties?.name && (
-                  <h3 className="popup-title">{currentFeature.properties.name}</h3>
+                {feature.properties?.name && (
+                  <h3 className="popup-title">{feature.properties.name}</h3>
                 )}
                 <table className="popup-table">
                   <tbody>
                     {(() => {
-                      const props = currentFeature.properties || {}
-                      const fieldsToShow = ['name', 'type', 'city', 'neighborhood', 'full_address', 'url']
+                      const props = feature.properties || {}
                       
-                      // Display labels mapping
-                      const displayLabels = {
-                        'name': 'Name',
-                        'type': 'Type',
-                        'city': 'City',
-                        'neighborhood': 'Neighborhood',
-                        'full_address': 'Address',
-                        'url': 'Website Link'
-                      }
+                      // Normalized fields to show, with display labels
+                      const fieldsToShow = [
+                        ['name', 'Name'],
+                        ['type', 'Type'],
+                        ['city', 'City'],
+                        ['neighborhood', 'Neighborhood'],
+                        ['address', 'Address'],
+                        ['url', 'Website Link']
+                      ]
                       
                       return fieldsToShow
-                        .map(fieldName => {
-                          // Find the property key (case-insensitive match)
-                          const propKey = Object.keys(props).find(
-                            key => key.toLowerCase() === fieldName.toLowerCase()
-                          )
-                          
-                          if (!propKey) return null
-                          
-                          const value = props[propKey]
-                          if (value === null || value === undefined || value === '') return null
+                        .map(([fieldName, label]) => {
+                          const value = props[fieldName]
+                          if (!value) return null
                           
-                          // Format the value
-                          let displayValue = value
-                          if (typeof value === 'object') {
-                            displayValue = JSON.stringify(value)
-                          } else {
-                            displayValue = String(value)
-                          }
-                          
-                          // Check if this is a URL field and make it clickable
-                          const isUrlField = fieldName.toLowerCase() === 'url'
-                          let valueContent = displayValue
-                          
-                          if (isUrlField) {
-                            // Ensure URL has protocol
-                            let url = displayValue.trim()
-                            if (!url.match(/^https?:\/\//i)) {
-                              url = 'https://' + url
-                            }
-                            valueContent = (
-                              <a 
-                                href={url} 
-                                target="_blank" 
-                                rel="noopener noreferrer"
-                                className="popup-link"
-                              >
-                                {displayValue}
-                              </a>
-                            )
-                          }
+                          // Make the website clickable
+                          const valueContent = fieldName === 'url' ? (
+                            <a 
+                              href={value} 
+                              target="_blank" 
+                              rel="noopener noreferrer"
+                              className="popup-link"
+                            >
+                              {value}
+                            </a>
+                          ) : value
                           
                           return (
                             <tr key={fieldName}>
-                              <td className="popup-label">{displayLabels[fieldName]}:</td>
+                              <td className="popup-label">{label}:</td>
                               <td className="popup-value">{valueContent}</td>
                             </tr>
                           )
                         })
                         .filter(Boolean)
                     })()}
+                    {/* When the record was last confirmed, and how we know */}
+                    <tr>
+                      <td className="popup-label">Last verified:</td>
+                      <td className={`popup-value popup-age-${ageBucket(feature).id}`}>
+                        {describeLastVerified(feature.properties) || 'No date recorded'}
+                      </td>
+                    </tr>
                   </tbody>
                 </table>
                 
-                {/* Show navigation at bottom if multiple features */}
-                {hasMultiple && (
-                  <div className="popup-navigation">
-                    <span className="popup-nav-counter">
-                      {selectedOverlapIndex + 1} / {featuresToShow.length}
-                    </span>
-                    <button
-                      className="popup-nav-button popup-nav-arrow"
-                      onClick={(e) => {
-                        e.stopPropagation()
-                        // Loop to next feature (wraps around to 0 when reaching the end)
-                        const newIndex = (selectedOverlapIndex + 1) % featuresToShow.length
-                        setSelectedOverlapIndex(newIndex)
-                        setSelectedMarker(featuresToShow[newIndex])
-                        if (onMarkerSelect) {
-                          onMarkerSelect(featuresToShow[newIndex])
-                        }
-                      }}
-                      title={`Next (${selectedOverlapIndex + 1} / ${featuresToShow.length})`}
-                    >
-                      ›
-                    </button>
+                {/* Recorded city/neighborhood that disagree with the boundaries the space falls in */}
+                {feature.properties.locationIssues?.length > 0 && (
+                  <div className="popup-warning">
+                    <i className="fa-solid fa-triangle-exclamation"></i>
+                    <div>
+                      {feature.properties.locationIssues.map(issue => (
+                        <div key={issue.field}>
+                          Recorded {issue.field} {issue.recorded ? `"${issue.recorded}"` : 'is missing'}; the location
+                          falls in {issue.computed}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* List every space at this location; arrow keys move through them */}
+                {tenants.length > 1 && (
+                  <div className="popup-tenants">
+                    <div className="popup-tenants-title">
+                      {tenants.length} spaces at this location ({tenantIndex + 1} of {tenants.length})
+                    </div>
+                    <ul className="popup-tenant-list" ref={tenantListRef}>
+                      {tenants.map((tenant, index) => {
+                        const category = getCategory(tenant.properties.categories?.[0])
+                        return (
+                          <li key={tenant.properties.id || index}>
+                            <button
+                              className={`popup-tenant ${tenant === feature ? 'active' : ''}`}
+                              aria-current={tenant === feature ? 'true' : undefined}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleMarkerClick(tenant)
+                              }}
+                              onKeyDown={(e) => handleTenantKeyDown(e, tenants, index)}
+                            >
+                              <i className={`fa-solid ${category.icon} legend-icon`} style={{ color: category.color }}></i>
+                              <span className="popup-tenant-name">{tenant.properties.name || 'Unnamed space'}</span>
+                              <span className="popup-tenant-type">{tenant.properties.type}</span>
+                            </button>
+                          </li>
+                        )
+                      })}
+                    </ul>
                   </div>
                 )}
+
+                {/* Report a closure or out-of-date details for moderation */}
+                {onSuggestEdit && feature.properties.id && (
+                  <button className="popup-suggest" onClick={() => onSuggestEdit(feature)}>
+                    <i className="fa-solid fa-pen-to-square"></i>
+                    Suggest an edit
+                  </button>
+                )}
               </div>
             </Popup>
           )
         })()}
 
-        {/* Map Legend */}
-        <div className="map-legend">
-          <div className="legend-title">Space Types</div>
-          <div className="legend-items">
-            <div className="legend-item">
-              <div className="legend-dot" style={{ backgroundColor: '#0066CC' }}></div>
-              <span className="legend-label">Presentation</span>
-            </div>
-            <div className="legend-item">
-              <div className="legend-dot" style={{ backgroundColor: '#008844' }}></div>
-              <span className="legend-label">Production</span>
-            </div>
-            <div className="legend-item">
-              <div className="legend-dot" style={{ backgroundColor: '#663399' }}></div>
-              <span className="legend-label">Production and Presentation</span>
-            </div>
-            <div className="legend-item">
-              <div className="legend-dot" style={{ backgroundColor: '#CC6600' }}></div>
-              <span className="legend-label">Unknown</span>
+        {/* Map Legend: graduated classes in choropleth mode, a ramp for the heatmap, space types otherwise */}
+        <div className="map-legend" ref={legendRef}>
+          {visualMode === 'choropleth' && density ? (
+            <>
+              <div className="legend-title">
+                {activeMetric.label} by {densityLevel === 'towns' ? 'town' : 'neighborhood'}
+              </div>
+              <div className="legend-items">
+                {density.colors.map((color, index) => (
+                  <div key={color} className="legend-item">
+                    <div className="legend-swatch" style={{ backgroundColor: color }}></div>
+                    <span className="legend-label">
+                      {formatDensity(density.breaks[index], activeMetric.id)}
+                      {density.breaks[index + 1] !== density.breaks[index] &&
+                        ` – ${formatDensity(density.breaks[index + 1], activeMetric.id)}`}
+                    </span>
+                  </div>
+                ))}
+                {density.hasNoData && (
+                  <div className="legend-item">
+                    <div className="legend-swatch" style={{ backgroundColor: NO_DATA_COLOR }}></div>
+                    <span className="legend-label">No data</span>
+                  </div>
+                )}
+              </div>
+              {density.colors.length === 0 && (
+                <div className="legend-note">Boundaries are still loading</div>
+              )}
+            </>
+          ) : visualMode === 'heatmap' ? (
+            <>
+              <div className="legend-title">Concentration of Spaces</div>
+              <div
+                className="legend-ramp"
+                style={{ background: `linear-gradient(to right, ${DENSITY_COLORS.join(', ')})` }}
+              ></div>
+              <div className="legend-ramp-labels">
+                <span>Fewer</span>
+                <span>More</span>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="legend-title">Space Types</div>
+              <div className="legend-items">
+                {legendCategories.map(category => (
+                  <div key={category.id} className="legend-item">
+                    <div className="legend-dot" style={{ backgroundColor: category.color }}></div>
+                    <i className={`fa-solid ${category.icon} legend-icon`} style={{ color: category.color }}></i>
+                    <span className="legend-label">{category.label}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="legend-note">Clusters take the color of their most common type</div>
+              <div className="legend-title legend-subtitle">Last Verified</div>
+              <div className="legend-items">
+                {AGE_BUCKETS.filter(bucket => bucket.id !== 'unknown').map(bucket => (
+                  <div key={bucket.id} className="legend-item">
+                    <div className="legend-dot" style={{ backgroundColor: '#555', opacity: bucket.opacity }}></div>
+                    <span className="legend-label">
+                      {bucket.label}{bucket.id === 'old' && ' or no date'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          {lostSpaces.length > 0 && (
+            <div className="legend-item legend-lost">
+              <div className="legend-dot" style={{ backgroundColor: '#ffffff', border: `2px solid ${LOST_COLOR}` }}></div>
+              <span className="legend-label">Lost space ({lostSpaces.length})</span>
             </div>
-          </div>
+          )}
         </div>
       </Map>
     </div>
@@ -1,26 +1,27 @@
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts'
+import { CATEGORIES, countByCategory, getCategory } from '../utils/taxonomy'
+import { matchesFilters } from '../utils/featureFilters'
+import { VERIFIED_WITHIN_OPTIONS, formatVerifiedWithin } from '../utils/freshness'
+import { downloadFile } from '../utils/download'
+import SearchBox from './SearchBox'
+import ProximitySearch from './ProximitySearch'
+import StudyAreas from './StudyAreas'
+import ChartCard from './ChartCard'
+import AreaBreakdowns from './AreaBreakdowns'
+import AreaComparison from './AreaComparison'
+import { formatRadius } from '../utils/proximity'
 import '../css/MetricsPanel.css'
 
-// Color mapping to match map marker colors
-// Colors are designed to meet WCAG AA contrast ratio (3:1) against white background
-// Reference: https://webaim.org/resources/contrastchecker/
-const getTypeColor = (typeName) => {
-  const name = typeName.toLowerCase()
-  if (name.includes('presentation') && name.includes('production')) {
-    return '#663399' // Dark purple for both 
-  } else if (name.includes('presentation')) {
-    return '#0066CC' // Dark blue for presentation 
-  } else if (name.includes('production')) {
-    return '#008844' // Dark green for production 
-  } else if (name.includes('unknown')) {
-    return '#CC6600' // Dark orange for unknown
-  }
-  return '#CC6600' // Default dark orange for unknown
-}
+const EXPORT_BUTTONS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'xlsx', label: 'Excel' }
+]
 
 function MetricsPanel({
   data,
+  allData,
   cities,
   neighborhoods,
   selectedCity,
@@ -29,69 +30,89 @@ function MetricsPanel({
   onCityChange,
   onNeighborhoodChange,
   onTypeChange,
-  loading
+  verifiedMonths = null,
+  onVerifiedMonthsChange,
+  onSearchSelect,
+  loading,
+  dataStatus,
+  locationIssues = [],
+  onIssueSelect,
+  places = [],
+  proximity,
+  radius,
+  pickingPoint,
+  onPickingPointChange,
+  onProximityChange,
+  onProximityClear,
+  studyArea,
+  savedAreas = [],
+  onStudyAreaSave,
+  onStudyAreaLoad,
+  onStudyAreaDelete,
+  onStudyAreaExport,
+  onStudyAreaClear,
+  boundaries = {},
+  onSuggestSpace
 }) {
   // Calculate total spaces from filtered data
-  // When no filters are selected: shows total excluding Watertown, Hingham, Salem, and First Highland Management
-  // When filters are applied: shows count matching the selected filters (already excludes removed entries)
+  // When no filters are selected: shows total of published spaces (curation exclusions are removed by the server)
+  // When filters are applied: shows count matching the selected filters
   const totalSpaces = useMemo(() => {
     // Verify data is an array before calculating length
     if (!Array.isArray(data)) return 0
     return data.length
   }, [data])
 
-  // Calculate share of spaces by type (production, presentation, or both)
+  // Calculate share of spaces by type category
+  // A space with several types counts once in each, so shares are out of total spaces
   // Recalculates when data changes (after filtering)
-  const typeData = useMemo(() => {
-    let productionCount = 0
-    let presentationCount = 0
-    let bothCount = 0
-
-    data.forEach(feature => {
-      const type = feature.properties?.type || feature.properties?.Type || ''
-      const typeLower = type.toLowerCase().trim()
-      
-      if (typeLower.includes('production') && typeLower.includes('presentation')) {
-        bothCount++
-      } else if (typeLower.includes('production')) {
-        productionCount++
-      } else if (typeLower.includes('presentation')) {
-        presentationCount++
-      }
-    })
-
-    const result = []
-    if (productionCount > 0) {
-      result.push({ name: 'Production', value: productionCount })
-    }
-    if (presentationCount > 0) {
-      result.push({ name: 'Presentation', value: presentationCount })
-    }
-    if (bothCount > 0) {
-      result.push({ name: 'Production and Presentation', value: bothCount })
-    }
-
-    return result.sort((a, b) => b.value - a.value)
-  }, [data])
+  const typeData = useMemo(() => 
+    countByCategory(data)
+      .map(({ id, label, color, icon, value }) => ({ id, name: label, color, icon, value }))
+      .sort((a, b) => b.value - a.value),
+    [data]
+  )
 
   // Calculate spaces count for selected city (recalculates when data or selectedCity changes)
+  // Case-insensitive, like the filter in App.jsx
   const spacesInCity = useMemo(() => {
     if (!selectedCity) return 0
-    return data.filter(f => {
-      const city = f.properties?.city || f.properties?.City || ''
-      return city === selectedCity
-    }).length
+    return data.filter(f => matchesFilters(f, { city: selectedCity })).length
   }, [data, selectedCity])
 
   // Calculate spaces count for selected neighborhood (recalculates when data or selectedNeighborhood changes)
   const spacesInNeighborhood = useMemo(() => {
     if (!selectedNeighborhood) return 0
-    return data.filter(f => {
-      const neighborhood = f.properties?.neighborhood || f.properties?.Neighborhood || ''
-      return neighborhood === selectedNeighborhood
-    }).length
+    return data.filter(f => matchesFilters(f, { neighborhood: selectedNeighborhood })).length
   }, [data, selectedNeighborhood])
 
+  // Areas are compared across every space of the selected type, whatever the other filters
+  const comparisonData = useMemo(
+    () => selectedType ? allData.filter(f => matchesFilters(f, { type: selectedType })) : allData,
+    [allData, selectedType]
+  )
+  const comparisonDescription = selectedType
+    ? `All ${getCategory(selectedType).label.toLowerCase()} spaces`
+    : 'All spaces, whatever the filters above'
+
+  const [exportingFormat, setExportingFormat] = useState(null)
+
+  // Download the spaces currently shown (all active filters applied)
+  // The exporters pull in the XLSX writer, so load them only when someone exports
+  const handleExport = async (format) => {
+    setExportingFormat(format)
+    try {
+      const { exportFeatures, exportFilename } = await import('../utils/exporters')
+      const filters = { city: selectedCity, neighborhood: selectedNeighborhood, type: selectedType }
+      const { body, mimeType, extension } = exportFeatures(data, format)
+      downloadFile(body, exportFilename(extension, filters), mimeType)
+    } catch (error) {
+      console.error(`Error exporting ${format}:`, error)
+    } finally {
+      setExportingFormat(null)
+    }
+  }
+
   return (
     <div className="metrics-panel">
       <div className="panel-header">
@@ -99,11 +120,54 @@ function MetricsPanel({
       </div>
       
       <div className="panel-content">
+        <SearchBox
+          data={allData}
+          filteredData={data}
+          hasFilters={Boolean(selectedCity || selectedNeighborhood || selectedType || verifiedMonths || proximity || studyArea)}
+          onSelect={onSearchSelect}
+          disabled={loading}
+        />
+
         <div className="metric-card">
           <div className="metric-label">Total Spaces</div>
           <div className="metric-value">{loading ? '...' : totalSpaces}</div>
+          {dataStatus?.asOf && (
+            <div className={`metric-note ${dataStatus.stale ? 'stale' : ''}`}>
+              {dataStatus.snapshot ? 'Snapshot from' : 'Data as of'} {dataStatus.asOf.toLocaleString()}
+              {dataStatus.stale && ' (live source unavailable, showing last saved copy)'}
+            </div>
+          )}
         </div>
 
+        {/* Spaces whose recorded city or neighborhood disagrees with the boundary they fall in */}
+        {!loading && locationIssues.length > 0 && (
+          <div className="metric-card issue-card">
+            <div className="metric-label">Location Mismatches</div>
+            <div className="metric-value">{locationIssues.length}</div>
+            <div className="metric-note">
+              Recorded city or neighborhood differs from the boundary the space falls in.
+              Filters and counts use the boundaries.
+            </div>
+            <details className="issue-details">
+              <summary>Show spaces</summary>
+              <ul className="issue-list">
+                {locationIssues.map((feature, index) => (
+                  <li key={feature.properties.id || index}>
+                    <button className="issue-link" onClick={() => onIssueSelect(feature)}>
+                      {feature.properties.name || 'Unnamed space'}
+                    </button>
+                    {feature.properties.locationIssues.map(issue => (
+                      <span key={issue.field} className="issue-detail">
+                        {issue.field}: {issue.recorded || 'not recorded'} → {issue.computed}
+                      </span>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          </div>
+        )}
+
         <div className="filter-section">
           <label className="filter-label">City</label>
           <select
@@ -144,13 +208,77 @@ function MetricsPanel({
             onChange={(e) => onTypeChange(e.target.value)}
           >
             <option value="">All Types</option>
-            <option value="presentation">Presentation</option>
-            <option value="production">Production</option>
-            <option value="both">Production and Presentation</option>
-            <option value="unknown">Unknown</option>
+            {CATEGORIES.map(category => (
+              <option key={category.id} value={category.id}>
+                {category.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-section">
+          <label className="filter-label">Last Verified</label>
+          <select
+            className="filter-select"
+            value={verifiedMonths ?? ''}
+            onChange={(e) => onVerifiedMonthsChange(e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">Any time</option>
+            {/* A period from a shared link may not be one of the presets */}
+            {[...new Set([...VERIFIED_WITHIN_OPTIONS, verifiedMonths].filter(Boolean))].sort((a, b) => a - b).map(months => (
+              <option key={months} value={months}>{formatVerifiedWithin(months)}</option>
+            ))}
           </select>
         </div>
 
+        <div className="filter-section">
+          <label className="filter-label">Near</label>
+          <ProximitySearch
+            places={places}
+            place={proximity?.place || ''}
+            radius={radius}
+            active={Boolean(proximity)}
+            picking={pickingPoint}
+            onPickingChange={onPickingPointChange}
+            onChange={onProximityChange}
+            onClear={onProximityClear}
+            disabled={loading}
+          />
+        </div>
+
+        <div className="filter-section">
+          <label className="filter-label">Study Area</label>
+          <StudyAreas
+            area={studyArea}
+            savedAreas={savedAreas}
+            onSave={onStudyAreaSave}
+            onLoad={onStudyAreaLoad}
+            onDelete={onStudyAreaDelete}
+            onExport={onStudyAreaExport}
+            onClear={onStudyAreaClear}
+          />
+        </div>
+
+        {studyArea && (
+          <div className="metric-card">
+            <div className="metric-label">
+              Spaces in {savedAreas.find(area => area.id === studyArea.id)?.properties.name || 'the drawn area'}
+            </div>
+            <div className="metric-value">{loading ? '...' : totalSpaces}</div>
+            {proximity && <div className="metric-note">Also limited by the Near search</div>}
+          </div>
+        )}
+
+        {proximity && (
+          <div className="metric-card">
+            <div className="metric-label">
+              Spaces within {formatRadius(proximity.radius)} of {proximity.place || 'the picked point'}
+            </div>
+            <div className="metric-value">{loading ? '...' : totalSpaces}</div>
+            <div className="metric-note">Listed nearest first in the spaces table</div>
+          </div>
+        )}
+
         {selectedCity && (
           <div className="metric-card">
             <div className="metric-label">Spaces in {selectedCity}</div>
@@ -165,10 +293,45 @@ function MetricsPanel({
           </div>
         )}
 
+        <div className="filter-section">
+          <label className="filter-label">Export {totalSpaces} Spaces</label>
+          <div className="export-buttons">
+            {EXPORT_BUTTONS.map(({ format, label }) => (
+              <button
+                key={format}
+                className="export-button"
+                onClick={() => handleExport(format)}
+                disabled={loading || totalSpaces === 0 || exportingFormat !== null}
+              >
+                <i className={`fa-solid ${exportingFormat === format ? 'fa-spinner fa-spin' : 'fa-download'}`}></i>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {onSuggestSpace && (
+          <div className="filter-section">
+            <label className="filter-label">Missing a Space?</label>
+            <div className="export-buttons">
+              <button className="export-button" onClick={onSuggestSpace}>
+                <i className="fa-solid fa-plus"></i>
+                Add a missing space
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Share of Spaces by Type Pie Chart */}
         {typeData.length > 0 && (
-          <div className="chart-card">
-            <div className="chart-title">Share of Spaces by Type</div>
+          <ChartCard
+            title="Share of Spaces by Type"
+            subtitle="Spaces with several types count toward each"
+            legend={typeData.map(item => ({
+              label: `${item.name}: ${item.value} (${totalSpaces > 0 ? ((item.value / totalSpaces) * 100).toFixed(1) : '0.0'}%)`,
+              color: item.color
+            }))}
+          >
             <ResponsiveContainer width="100%" height={250}>
               <PieChart>
                 <Pie
@@ -177,8 +340,7 @@ function MetricsPanel({
                   cy="50%"
                   labelLine={false}
                   label={({ name, value }) => {
-                    const total = typeData.reduce((sum, item) => sum + item.value, 0)
-                    const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : '0.0'
+                    const percentage = totalSpaces > 0 ? ((value / totalSpaces) * 100).toFixed(1) : '0.0'
                     return (
                       <text
                         x={0}
@@ -198,14 +360,13 @@ function MetricsPanel({
                   activeShape={null}
                   isAnimationActive={false}
                 >
-                  {typeData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={getTypeColor(entry.name)} />
+                  {typeData.map((entry) => (
+                    <Cell key={`cell-${entry.id}`} fill={entry.color} />
                   ))}
                 </Pie>
                 <Tooltip 
                   formatter={(value, name, props) => {
-                    const total = typeData.reduce((sum, item) => sum + item.value, 0)
-                    const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : '0.0'
+                    const percentage = totalSpaces > 0 ? ((value / totalSpaces) * 100).toFixed(1) : '0.0'
                     return [`${value} spaces (${percentage}%)`, props.payload?.name || name]
                   }}
                   contentStyle={{ fontSize: '10px', padding: '6px' }}
@@ -215,15 +376,15 @@ function MetricsPanel({
               </PieChart>
             </ResponsiveContainer>
             <div className="chart-legend">
-              {typeData.map((item, index) => {
-                const total = typeData.reduce((sum, i) => sum + i.value, 0)
-                const percentage = total > 0 ? ((item.value / total) * 100).toFixed(1) : '0.0'
+              {typeData.map((item) => {
+                const percentage = totalSpaces > 0 ? ((item.value / totalSpaces) * 100).toFixed(1) : '0.0'
                 return (
-                  <div key={item.name} className="legend-item">
+                  <div key={item.id} className="legend-item">
                     <span 
                       className="legend-color" 
-                      style={{ backgroundColor: getTypeColor(item.name) }}
+                      style={{ backgroundColor: item.color }}
                     ></span>
+                    <i className={`fa-solid ${item.icon} legend-icon`} style={{ color: item.color }}></i>
                     <span className="legend-label">
                       {item.name}: {item.value} ({percentage}%)
                     </span>
@@ -231,8 +392,17 @@ function MetricsPanel({
                 )
               })}
             </div>
-          </div>
+          </ChartCard>
         )}
+
+        <AreaBreakdowns data={data} selectedCity={selectedCity} />
+
+        <AreaComparison
+          data={comparisonData}
+          cities={cities}
+          boundaries={boundaries}
+          description={comparisonDescription}
+        />
       </div>
     </div>
   )
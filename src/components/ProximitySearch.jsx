@@ -0,0 +1,181 @@
+import { useState, useMemo, useRef, useId, useEffect } from 'react'
+import Fuse from 'fuse.js'
+import { PROXIMITY_RADII } from '../config/gazetteer'
+import { parseCoordinates, formatRadius } from '../utils/proximity'
+import '../css/SearchBox.css'
+import '../css/ProximitySearch.css'
+
+const MAX_RESULTS = 8
+
+const FUSE_OPTIONS = {
+  keys: [
+    { name: 'name', weight: 2 },
+    { name: 'detail', weight: 1 }
+  ],
+  threshold: 0.3,
+  ignoreLocation: true,
+  minMatchCharLength: 2
+}
+
+/**
+ * Pick the center and radius of a proximity search. The center comes from a
+ * place in `places` (see gazetteerPlaces), typed "lat, lon" coordinates, or a
+ * click on the map while `picking` is on.
+ *
+ * `place` is the name of the current center (empty for a point or none),
+ * `radius` is in miles and `active` says whether a center has been picked;
+ * changes are reported as onChange({ near, place, within }).
+ */
+function ProximitySearch({ places, place, radius, active, picking, onPickingChange, onChange, onClear, disabled }) {
+  const [query, setQuery] = useState(place)
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(null)
+  const listId = useId()
+
+  // Follow the center when it changes elsewhere (map click, back/forward)
+  useEffect(() => {
+    setQuery(place)
+  }, [place])
+
+  const fuse = useMemo(() => new Fuse(places, FUSE_OPTIONS), [places])
+
+  // Typed coordinates come first, as their own result
+  const results = useMemo(() => {
+    const text = query.trim()
+    if (text.length < 2) return []
+    const coordinates = parseCoordinates(text)
+    const typed = coordinates
+      ? [{
+          name: `${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)}`,
+          detail: 'Coordinates',
+          coordinates,
+          icon: 'fa-crosshairs',
+          isPoint: true
+        }]
+      : []
+    return [...typed, ...fuse.search(text).map(result => result.item)].slice(0, MAX_RESULTS)
+  }, [fuse, query])
+
+  const showResults = isOpen && query.trim().length >= 2
+
+  const selectPlace = (result) => {
+    onChange({ near: result.coordinates, place: result.isPoint ? '' : result.name })
+    setQuery(result.isPoint ? '' : result.name)
+    setIsOpen(false)
+    inputRef.current?.blur()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(i => Math.min(results.length - 1, i + 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(i => Math.max(0, i - 1))
+    } else if (e.key === 'Enter') {
+      if (showResults && results[activeIndex]) {
+        e.preventDefault()
+        selectPlace(results[activeIndex])
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <div className="proximity-search">
+      <div className="search-input-wrapper">
+        <i className="fa-solid fa-location-crosshairs search-icon"></i>
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-input"
+          placeholder="T stop, address or lat, lon"
+          value={query}
+          disabled={disabled}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setActiveIndex(0)
+            setIsOpen(true)
+          }}
+          onFocus={() => setIsOpen(true)}
+          // Delay so a click on a result lands before the list closes
+          onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-label="Search near a place"
+          aria-expanded={showResults}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={showResults && results[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+        />
+      </div>
+
+      {showResults && (
+        <ul className="search-results" id={listId} role="listbox">
+          {results.length === 0 ? (
+            <li className="search-no-results">No places match “{query.trim()}”</li>
+          ) : (
+            results.map((result, index) => (
+              <li
+                key={`${result.name}-${index}`}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => selectPlace(result)}
+              >
+                <i className={`fa-solid ${result.icon} search-result-icon`}></i>
+                <span className="search-result-text">
+                  <span className="search-result-name">{result.name}</span>
+                  <span className="search-result-detail">{result.detail}</span>
+                </span>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+
+      <div className="proximity-controls">
+        <button
+          className={`proximity-button ${picking ? 'active' : ''}`}
+          onClick={() => onPickingChange(!picking)}
+          aria-pressed={picking}
+          disabled={disabled}
+          title="Click the map to search around a point"
+        >
+          <i className="fa-solid fa-crosshairs"></i>
+          {picking ? 'Click the map…' : 'Pick on map'}
+        </button>
+        <select
+          className="filter-select proximity-radius"
+          value={radius}
+          onChange={(e) => onChange({ within: Number(e.target.value) })}
+          disabled={disabled}
+          aria-label="Search radius"
+        >
+          {/* A radius from a shared link may not be one of the presets */}
+          {[...new Set([...PROXIMITY_RADII, radius])].sort((a, b) => a - b).map(miles => (
+            <option key={miles} value={miles}>Within {formatRadius(miles)}</option>
+          ))}
+        </select>
+        {active && (
+          <button
+            className="proximity-button"
+            onClick={onClear}
+            title="Clear the proximity search"
+          >
+            <i className="fa-solid fa-xmark"></i>
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ProximitySearch
@@ -0,0 +1,153 @@
+import { useState, useMemo, useRef, useId } from 'react'
+import Fuse from 'fuse.js'
+import { getCategory } from '../utils/taxonomy'
+import '../css/SearchBox.css'
+
+const MAX_RESULTS = 8
+
+// Typo-tolerant, ranked matching; names count for more than addresses or links
+const FUSE_OPTIONS = {
+  keys: [
+    { name: 'properties.name', weight: 3 },
+    { name: 'properties.address', weight: 2 },
+    { name: 'properties.neighborhood', weight: 1 },
+    { name: 'properties.url', weight: 0.5 }
+  ],
+  threshold: 0.35,
+  ignoreLocation: true,
+  minMatchCharLength: 2
+}
+
+/**
+ * Search box with an autocomplete list of spaces.
+ * Searches `filteredData` unless "Search all spaces" is ticked, in which case
+ * it searches `data`; picking a result calls `onSelect(feature)`.
+ */
+function SearchBox({ data, filteredData, hasFilters, onSelect, disabled }) {
+  const [query, setQuery] = useState('')
+  const [searchAll, setSearchAll] = useState(false)
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(null)
+  const listId = useId()
+
+  // Index every space once; scoping to the filters happens on the results
+  const fuse = useMemo(() => new Fuse(data, FUSE_OPTIONS), [data])
+
+  const scopeAll = searchAll || !hasFilters
+  const results = useMemo(() => {
+    const text = query.trim()
+    if (text.length < 2) return []
+
+    const inScope = scopeAll ? null : new Set(filteredData)
+    return fuse.search(text)
+      .map(result => result.item)
+      .filter(feature => !inScope || inScope.has(feature))
+      .slice(0, MAX_RESULTS)
+  }, [fuse, query, scopeAll, filteredData])
+
+  const showResults = isOpen && query.trim().length >= 2
+
+  const selectResult = (feature) => {
+    onSelect(feature)
+    setQuery(feature.properties.name || '')
+    setIsOpen(false)
+    inputRef.current?.blur()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(i => Math.min(results.length - 1, i + 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(i => Math.max(0, i - 1))
+    } else if (e.key === 'Enter') {
+      if (showResults && results[activeIndex]) {
+        e.preventDefault()
+        selectResult(results[activeIndex])
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <div className="search-box">
+      <div className="search-input-wrapper">
+        <i className="fa-solid fa-magnifying-glass search-icon"></i>
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-input"
+          placeholder="Search spaces by name or address"
+          value={query}
+          disabled={disabled}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setActiveIndex(0)
+            setIsOpen(true)
+          }}
+          onFocus={() => setIsOpen(true)}
+          // Delay so a click on a result lands before the list closes
+          onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showResults}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={showResults && results[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+        />
+      </div>
+
+      {showResults && (
+        <ul className="search-results" id={listId} role="listbox">
+          {results.length === 0 ? (
+            <li className="search-no-results">
+              No {scopeAll ? '' : 'filtered '}spaces match “{query.trim()}”
+            </li>
+          ) : (
+            results.map((feature, index) => {
+              const props = feature.properties
+              const category = getCategory(props.categories?.[0])
+              return (
+                <li
+                  key={props.id || index}
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => selectResult(feature)}
+                >
+                  <i className={`fa-solid ${category.icon} search-result-icon`} style={{ color: category.color }}></i>
+                  <span className="search-result-text">
+                    <span className="search-result-name">{props.name || 'Unnamed space'}</span>
+                    <span className="search-result-detail">
+                      {[props.address, props.neighborhood, props.city].filter(Boolean).join(' · ')}
+                    </span>
+                  </span>
+                </li>
+              )
+            })
+          )}
+        </ul>
+      )}
+
+      {hasFilters && (
+        <label className="search-scope">
+          <input
+            type="checkbox"
+            checked={searchAll}
+            onChange={(e) => setSearchAll(e.target.checked)}
+          />
+          Search all spaces (clears filters when you pick one outside them)
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default SearchBox
@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { geometryArea, SQUARE_METERS_PER_SQUARE_MILE } from '../utils/geometry'
+import '../css/StudyAreas.css'
+
+const squareMiles = (area) => (geometryArea(area.geometry) / SQUARE_METERS_PER_SQUARE_MILE).toFixed(2)
+
+/**
+ * The drawn study area and the saved ones. The active area (drawn on the map
+ * or loaded from the list) can be named and saved; saved areas can be loaded
+ * back as the filter, downloaded as GeoJSON or deleted.
+ */
+function StudyAreas({ area, savedAreas, onSave, onLoad, onDelete, onExport, onClear }) {
+  const [name, setName] = useState('')
+  const activeSaved = area && savedAreas.find(saved => saved.id === area.id)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSave(name.trim())
+    setName('')
+  }
+
+  return (
+    <div className="study-areas">
+      {!area && (
+        <div className="study-area-hint">
+          Draw a polygon or rectangle on the map to count only the spaces inside it.
+        </div>
+      )}
+
+      {area && (
+        <div className="study-area-active">
+          <div className="study-area-summary">
+            <span className="study-area-name">{activeSaved?.properties.name || 'Drawn area'}</span>
+            <span className="study-area-size">{squareMiles(area)} sq mi</span>
+          </div>
+          {!activeSaved && (
+            <form className="study-area-save" onSubmit={handleSave}>
+              <input
+                type="text"
+                className="study-area-input"
+                placeholder="Name this area"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                aria-label="Study area name"
+              />
+              <button type="submit" className="export-button" disabled={!name.trim()}>
+                <i className="fa-solid fa-floppy-disk"></i>
+                Save
+              </button>
+            </form>
+          )}
+          <div className="export-buttons">
+            <button className="export-button" onClick={() => onExport([activeSaved || area])}>
+              <i className="fa-solid fa-download"></i>
+              GeoJSON
+            </button>
+            <button className="export-button" onClick={onClear}>
+              <i className="fa-solid fa-xmark"></i>
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
+      {savedAreas.length > 0 && (
+        <details className="study-area-details">
+          <summary>Saved areas ({savedAreas.length})</summary>
+          <ul className="study-area-list">
+            {savedAreas.map(saved => (
+              <li key={saved.id} className={saved.id === area?.id ? 'active' : ''}>
+                <button
+                  className="study-area-link"
+                  onClick={() => onLoad(saved)}
+                  title="Filter to this area"
+                >
+                  {saved.properties.name}
+                </button>
+                <span className="study-area-size">{squareMiles(saved)} sq mi</span>
+                <button className="study-area-icon" onClick={() => onExport([saved])} title="Download as GeoJSON">
+                  <i className="fa-solid fa-download"></i>
+                </button>
+                <button className="study-area-icon" onClick={() => onDelete(saved)} title="Delete">
+                  <i className="fa-solid fa-trash-can"></i>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {savedAreas.length > 1 && (
+            <button className="export-button" onClick={() => onExport(savedAreas)}>
+              <i className="fa-solid fa-download"></i>
+              Download all as GeoJSON
+            </button>
+          )}
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default StudyAreas
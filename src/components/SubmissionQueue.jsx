@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react'
+import { fieldLabel } from '../utils/submissions'
+import { fetchSubmissions, reviewSubmission, formatDateTime } from '../utils/admin'
+
+const STATUS_TABS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'all', label: 'All' }
+]
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (field === 'coordinates') return `${value[1].toFixed(5)}, ${value[0].toFixed(5)}`
+  return String(value)
+}
+
+// One suggestion: what it would change against the current record, and the review actions
+function SubmissionCard({ submission, onReview }) {
+  const [note, setNote] = useState('')
+  const [busy, setBusy] = useState(false)
+  const { kind, current, diff, changes, closed } = submission
+  const title = kind === 'edit'
+    ? current?.properties.name || submission.spaceName || 'Unnamed space'
+    : changes.name
+
+  const review = async (decision) => {
+    setBusy(true)
+    await onReview(submission, decision, note)
+    setBusy(false)
+  }
+
+  const addedRows = kind === 'add' && [
+    ...Object.entries(changes),
+    ...(submission.coordinates ? [['coordinates', submission.coordinates]] : [])
+  ]
+
+  return (
+    <li className={`submission-card submission-${submission.status}`}>
+      <div className="submission-header">
+        <span className={`submission-kind submission-kind-${kind}`}>{kind === 'edit' ? 'Edit' : 'New space'}</span>
+        <h2 className="submission-title">{title}</h2>
+        <span className="submission-date">{formatDateTime(submission.submittedAt)}</span>
+      </div>
+
+      {closed && (
+        <div className="submission-flag">
+          <i className="fa-solid fa-door-closed"></i>
+          Reported closed or moved out
+        </div>
+      )}
+      {kind === 'edit' && !current && (
+        <div className="submission-flag">This space is no longer on the map.</div>
+      )}
+      {kind === 'edit' && current && diff.length === 0 && Object.keys(changes).length > 0 && (
+        <div className="submission-muted">The record already matches these changes.</div>
+      )}
+
+      {kind === 'edit' && diff.length > 0 && (
+        <table className="submission-diff">
+          <thead>
+            <tr><th>Field</th><th>Current</th><th>Suggested</th></tr>
+          </thead>
+          <tbody>
+            {diff.map(({ field, before, after }) => (
+              <tr key={field}>
+                <td>{fieldLabel(field)}</td>
+                <td className="diff-before">{formatValue(field, before)}</td>
+                <td className="diff-after">{formatValue(field, after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {addedRows && (
+        <table className="submission-diff">
+          <tbody>
+            {addedRows.map(([field, value]) => (
+              <tr key={field}>
+                <td>{fieldLabel(field)}</td>
+                <td className="diff-after">{formatValue(field, value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {submission.note && <blockquote className="submission-note">{submission.note}</blockquote>}
+      {submission.contact && <div className="submission-muted">Contact: {submission.contact}</div>}
+
+      {submission.status === 'pending' ? (
+        <div className="submission-actions">
+          <input
+            type="text"
+            className="submission-review-note"
+            placeholder="Review note (optional)"
+            value={note}
+            maxLength={1000}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <button className="admin-button approve" disabled={busy} onClick={() => review('approve')}>
+            <i className="fa-solid fa-check"></i>
+            Approve
+          </button>
+          <button className="admin-button reject" disabled={busy} onClick={() => review('reject')}>
+            <i className="fa-solid fa-xmark"></i>
+            Reject
+          </button>
+        </div>
+      ) : (
+        <div className="submission-muted">
+          {submission.status === 'approved' ? 'Approved' : 'Rejected'} {formatDateTime(submission.reviewedAt)}
+          {submission.reviewedBy && ` by ${submission.reviewedBy}`}
+          {submission.reviewNote && `: ${submission.reviewNote}`}
+        </div>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Review queue for community suggestions, in the admin page. Approving
+ * records the decision; the change itself is made in Airtable.
+ */
+function SubmissionQueue({ onError }) {
+  const [status, setStatus] = useState('pending')
+  const [submissions, setSubmissions] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setSubmissions(null)
+    fetchSubmissions(status)
+      .then(list => {
+        if (!cancelled) setSubmissions(list)
+      })
+      .catch(err => {
+        if (!cancelled) onError(err)
+      })
+    return () => { cancelled = true }
+  }, [status, onError])
+
+  const handleReview = async (submission, decision, note) => {
+    try {
+      const reviewed = await reviewSubmission(submission.id, decision, note)
+      setSubmissions(prev => prev
+        .map(item => item.id === reviewed.id ? { ...item, ...reviewed } : item)
+        .filter(item => status === 'all' || item.status === status))
+    } catch (err) {
+      onError(err)
+    }
+  }
+
+  return (
+    <>
+      <nav className="admin-tabs admin-subtabs">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.id}
+            className={`admin-tab ${status === tab.id ? 'active' : ''}`}
+            aria-pressed={status === tab.id}
+            onClick={() => setStatus(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </nav>
+
+      {submissions === null ? (
+        <div className="submission-muted">Loading…</div>
+      ) : submissions.length === 0 ? (
+        <div className="submission-muted">No {status === 'all' ? '' : `${status} `}suggestions.</div>
+      ) : (
+        <ul className="submission-list">
+          {submissions.map(submission => (
+            <SubmissionCard key={submission.id} submission={submission} onReview={handleReview} />
+          ))}
+        </ul>
+      )}
+    </>
+  )
+}
+
+export default SubmissionQueue
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { SUGGESTION_FIELDS, sendSuggestion } from '../utils/submissions'
+import '../css/SuggestionForm.css'
+
+// The values as recorded; city and neighborhood may have been replaced by the
+// boundaries the space falls in (see assignBoundaries)
+const RECORDED_KEYS = { city: 'recordedCity', neighborhood: 'recordedNeighborhood' }
+
+const initialFields = (feature) => Object.fromEntries(SUGGESTION_FIELDS.map(({ id }) => {
+  const props = feature?.properties || {}
+  const recordedKey = RECORDED_KEYS[id]
+  return [id, (recordedKey && recordedKey in props ? props[recordedKey] : props[id]) || '']
+}))
+
+/**
+ * Dialog for suggesting a correction to `feature` (kind "edit") or a space
+ * that's missing from the map (kind "add"). Suggestions go to the moderation
+ * queue. For additions the location can be picked on the map: the dialog
+ * steps aside while `picking`, and `coordinates` is the point picked.
+ */
+function SuggestionForm({ kind, feature, coordinates, picking, onPickingChange, types = [], cities = [], onClose }) {
+  const [initial] = useState(() => initialFields(feature))
+  const [fields, setFields] = useState(initial)
+  const [closed, setClosed] = useState(false)
+  const [note, setNote] = useState('')
+  const [contact, setContact] = useState('')
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState(null)
+  const [sent, setSent] = useState(false)
+
+  useEffect(() => {
+    if (picking) return
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [picking, onClose])
+
+  const setField = (id, value) => setFields(prev => ({ ...prev, [id]: value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSending(true)
+    setError(null)
+    try {
+      // An edit sends only the fields the visitor changed
+      const edited = Object.fromEntries(Object.entries(fields).filter(([id, value]) => value !== initial[id]))
+      await sendSuggestion(kind === 'edit'
+        ? { kind, spaceId: feature.properties.id, fields: edited, closed, note, contact }
+        : { kind, fields, coordinates, note, contact })
+      setSent(true)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  if (picking) {
+    return (
+      <div className="suggestion-picking" role="status">
+        <i className="fa-solid fa-crosshairs"></i>
+        Click the map where the space is
+        <button type="button" className="export-button" onClick={() => onPickingChange(false)}>
+          Cancel
+        </button>
+      </div>
+    )
+  }
+
+  const title = kind === 'edit' ? `Suggest an edit to ${feature.properties.name || 'this space'}` : 'Add a missing space'
+
+  return (
+    <div className="suggestion-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="suggestion-dialog" role="dialog" aria-modal="true" aria-labelledby="suggestion-title">
+        <div className="suggestion-header">
+          <h2 id="suggestion-title">{title}</h2>
+          <button type="button" className="suggestion-close" onClick={onClose} aria-label="Close">
+            <i className="fa-solid fa-xmark"></i>
+          </button>
+        </div>
+
+        {sent ? (
+          <div className="suggestion-sent">
+            <p>Thanks! Your suggestion will be reviewed before the map changes.</p>
+            <button type="button" className="export-button" onClick={onClose}>Close</button>
+          </div>
+        ) : (
+          <form className="suggestion-form" onSubmit={handleSubmit}>
+            <p className="suggestion-hint">
+              {kind === 'edit'
+                ? 'Correct anything that is out of date. Unchanged fields are left as they are.'
+                : 'Tell us about a studio, gallery or other space that should be on the map.'}
+            </p>
+
+            {kind === 'edit' && (
+              <label className="suggestion-checkbox">
+                <input type="checkbox" checked={closed} onChange={(e) => setClosed(e.target.checked)} />
+                This space has closed or moved out
+              </label>
+            )}
+
+            {SUGGESTION_FIELDS.map(({ id, label, maxLength }) => (
+              <label key={id} className="suggestion-field">
+                <span>
+                  {label}
+                  {kind === 'add' && id === 'name' && ' *'}
+                </span>
+                <input
+                  type={id === 'url' ? 'url' : 'text'}
+                  value={fields[id]}
+                  maxLength={maxLength}
+                  required={kind === 'add' && id === 'name'}
+                  list={id === 'type' ? 'suggestion-types' : id === 'city' ? 'suggestion-cities' : undefined}
+                  placeholder={id === 'url' ? 'https://' : undefined}
+                  onChange={(e) => setField(id, e.target.value)}
+                />
+              </label>
+            ))}
+            <datalist id="suggestion-types">
+              {types.map(type => <option key={type} value={type} />)}
+            </datalist>
+            <datalist id="suggestion-cities">
+              {cities.map(city => <option key={city} value={city} />)}
+            </datalist>
+
+            {kind === 'add' && (
+              <div className="suggestion-location">
+                <span>
+                  {coordinates
+                    ? `Location: ${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)}`
+                    : 'Give an address or pick the location on the map.'}
+                </span>
+                <button type="button" className="export-button" onClick={() => onPickingChange(true)}>
+                  <i className="fa-solid fa-location-crosshairs"></i>
+                  {coordinates ? 'Move' : 'Pick on map'}
+                </button>
+              </div>
+            )}
+
+            <label className="suggestion-field">
+              <span>Anything else we should know?</span>
+              <textarea value={note} maxLength={1000} rows={3} onChange={(e) => setNote(e.target.value)} />
+            </label>
+            <label className="suggestion-field">
+              <span>Your email (optional, only used if we have questions)</span>
+              <input type="text" value={contact} maxLength={200} onChange={(e) => setContact(e.target.value)} />
+            </label>
+
+            {error && <div className="suggestion-error" role="alert">{error}</div>}
+
+            <div className="suggestion-actions">
+              <button type="button" className="export-button" onClick={onClose}>Cancel</button>
+              <button type="submit" className="export-button suggestion-submit" disabled={sending}>
+                <i className="fa-solid fa-paper-plane"></i>
+                {sending ? 'Sending…' : 'Send suggestion'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SuggestionForm
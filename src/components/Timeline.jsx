@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { formatSnapshotDate } from '../utils/history'
+import '../css/Timeline.css'
+
+// Time each snapshot stays on screen while replaying
+const PLAY_INTERVAL_MS = 1500
+
+/**
+ * Slider over the saved snapshots, ending at the live data. `date` is the
+ * snapshot shown ('' for live); onDateChange('') returns to live. Play steps
+ * through every snapshot from the first.
+ */
+function Timeline({ snapshots, date, onDateChange, showLost, onShowLostChange, lostCount, loading }) {
+  const [playing, setPlaying] = useState(false)
+
+  const liveIndex = snapshots.length
+  const index = date ? snapshots.findIndex(snapshot => snapshot.date === date) : liveIndex
+  const position = index === -1 ? liveIndex : index
+  const snapshot = snapshots[position]
+
+  const showIndex = (next) => onDateChange(next >= liveIndex ? '' : snapshots[next].date)
+
+  // Move on once the current snapshot has loaded; stop after the live data
+  useEffect(() => {
+    if (!playing || loading) return
+    if (position >= liveIndex) {
+      setPlaying(false)
+      return
+    }
+    const next = snapshots[position + 1]?.date || ''
+    const timer = setTimeout(() => onDateChange(next), PLAY_INTERVAL_MS)
+    return () => clearTimeout(timer)
+  }, [playing, loading, position, liveIndex, snapshots, onDateChange])
+
+  const togglePlaying = () => {
+    if (!playing && position >= liveIndex) showIndex(0)
+    setPlaying(!playing)
+  }
+
+  return (
+    <div className="timeline" role="group" aria-label="Timeline">
+      <button
+        className="timeline-play"
+        onClick={togglePlaying}
+        aria-label={playing ? 'Pause' : 'Replay the snapshots'}
+        title={playing ? 'Pause' : 'Replay the snapshots'}
+      >
+        <i className={`fa-solid ${playing ? 'fa-pause' : 'fa-play'}`}></i>
+      </button>
+      <input
+        type="range"
+        className="timeline-slider"
+        min={0}
+        max={liveIndex}
+        step={1}
+        value={position}
+        onChange={(e) => {
+          setPlaying(false)
+          showIndex(Number(e.target.value))
+        }}
+        aria-valuetext={snapshot ? formatSnapshotDate(snapshot.date) : 'Live data'}
+        aria-label="Snapshot date"
+      />
+      <div className="timeline-label">
+        <span className="timeline-date">
+          {snapshot ? formatSnapshotDate(snapshot.date) : 'Live'}
+          {loading && <i className="fa-solid fa-spinner fa-spin"></i>}
+        </span>
+        {snapshot && position > 0 && (
+          <span className="timeline-changes">
+            <span className="added">+{snapshot.added}</span>{' '}
+            <span className="removed">−{snapshot.removed}</span>{' '}
+            <span className="changed">~{snapshot.changed}</span>
+            {' '}since {formatSnapshotDate(snapshots[position - 1].date)}
+          </span>
+        )}
+        {snapshot && position === 0 && (
+          <span className="timeline-changes">First snapshot: {snapshot.count} spaces</span>
+        )}
+      </div>
+      <label className="timeline-lost">
+        <input
+          type="checkbox"
+          checked={showLost}
+          onChange={(e) => onShowLostChange(e.target.checked)}
+        />
+        Lost spaces{showLost && lostCount !== null ? ` (${lostCount})` : ''}
+      </label>
+      {date && (
+        <button className="timeline-live" onClick={() => onDateChange('')}>
+          Back to live
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default Timeline
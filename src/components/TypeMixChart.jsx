@@ -0,0 +1,64 @@
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts'
+import { CATEGORIES } from '../utils/taxonomy'
+
+const ROW_HEIGHT = 28
+const AXIS_HEIGHT = 30
+
+// Categories present in any row, in taxonomy order
+export const categoriesIn = (rows) =>
+  CATEGORIES.filter(category => rows.some(row => row.categories[category.id]))
+
+/**
+ * Stacked horizontal bars of space types, one bar per area in `rows` (from
+ * breakdownBy or compareAreas). With `share`, each bar is scaled to 100%.
+ */
+function TypeMixChart({ rows, share = false, labelKey = 'name' }) {
+  const categories = categoriesIn(rows)
+  const chartData = rows.map(row => ({ [labelKey]: row[labelKey], ...row.categories }))
+
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={rows.length * ROW_HEIGHT + AXIS_HEIGHT}>
+        <BarChart
+          data={chartData}
+          layout="vertical"
+          stackOffset={share ? 'expand' : 'none'}
+          margin={{ top: 0, right: 12, bottom: 0, left: 0 }}
+        >
+          <XAxis
+            type="number"
+            allowDecimals={share}
+            tickFormatter={share ? (value) => `${Math.round(value * 100)}%` : undefined}
+            fontSize={9}
+          />
+          <YAxis type="category" dataKey={labelKey} width={90} fontSize={9} interval={0} />
+          <Tooltip
+            contentStyle={{ fontSize: '10px', padding: '6px' }}
+            itemStyle={{ fontSize: '9px', padding: '1px 0' }}
+            formatter={(value, name) => [`${value} spaces`, name]}
+          />
+          {categories.map(category => (
+            <Bar
+              key={category.id}
+              dataKey={category.id}
+              name={category.label}
+              stackId="types"
+              fill={category.color}
+              isAnimationActive={false}
+            />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+      <div className="chart-legend chart-legend-inline">
+        {categories.map(category => (
+          <div key={category.id} className="legend-item">
+            <span className="legend-color" style={{ backgroundColor: category.color }}></span>
+            <span className="legend-label">{category.label}</span>
+          </div>
+        ))}
+      </div>
+    </>
+  )
+}
+
+export default TypeMixChart
@@ -0,0 +1,73 @@
+/**
+ * Places that can be picked as the center of a proximity search, alongside
+ * the addresses of the spaces themselves. Coordinates are [lon, lat] and
+ * approximate (to within a station entrance or so), which is plenty for
+ * "within a mile of" questions.
+ *
+ * - name:   shown in the search list and the URL's `place`
+ * - detail: secondary text, e.g. the lines serving a station
+ */
+export const TRANSIT_STOPS = [
+  // Red Line
+  { name: 'Alewife', detail: 'Red Line', coordinates: [-71.1425, 42.3954] },
+  { name: 'Davis', detail: 'Red Line', coordinates: [-71.1218, 42.3967] },
+  { name: 'Porter', detail: 'Red Line · Commuter Rail', coordinates: [-71.1191, 42.3884] },
+  { name: 'Harvard', detail: 'Red Line', coordinates: [-71.1189, 42.3734] },
+  { name: 'Central', detail: 'Red Line', coordinates: [-71.1038, 42.3651] },
+  { name: 'Kendall/MIT', detail: 'Red Line', coordinates: [-71.0862, 42.3625] },
+  { name: 'Charles/MGH', detail: 'Red Line', coordinates: [-71.0706, 42.3612] },
+  { name: 'Park Street', detail: 'Red Line · Green Line', coordinates: [-71.0624, 42.3564] },
+  { name: 'Downtown Crossing', detail: 'Red Line · Orange Line', coordinates: [-71.0603, 42.3555] },
+  { name: 'South Station', detail: 'Red Line · Silver Line · Commuter Rail', coordinates: [-71.0552, 42.3523] },
+  { name: 'Broadway', detail: 'Red Line', coordinates: [-71.0570, 42.3426] },
+  { name: 'Andrew', detail: 'Red Line', coordinates: [-71.0570, 42.3302] },
+  { name: 'JFK/UMass', detail: 'Red Line', coordinates: [-71.0524, 42.3207] },
+  { name: 'Fields Corner', detail: 'Red Line', coordinates: [-71.0617, 42.3000] },
+  { name: 'Ashmont', detail: 'Red Line', coordinates: [-71.0637, 42.2846] },
+
+  // Orange Line
+  { name: 'Assembly', detail: 'Orange Line', coordinates: [-71.0772, 42.3924] },
+  { name: 'Sullivan Square', detail: 'Orange Line', coordinates: [-71.0770, 42.3840] },
+  { name: 'Community College', detail: 'Orange Line', coordinates: [-71.0695, 42.3736] },
+  { name: 'North Station', detail: 'Orange Line · Green Line · Commuter Rail', coordinates: [-71.0613, 42.3656] },
+  { name: 'Haymarket', detail: 'Orange Line · Green Line', coordinates: [-71.0583, 42.3630] },
+  { name: 'State', detail: 'Orange Line · Blue Line', coordinates: [-71.0576, 42.3589] },
+  { name: 'Chinatown', detail: 'Orange Line', coordinates: [-71.0626, 42.3524] },
+  { name: 'Tufts Medical Center', detail: 'Orange Line', coordinates: [-71.0639, 42.3497] },
+  { name: 'Back Bay', detail: 'Orange Line · Commuter Rail', coordinates: [-71.0757, 42.3474] },
+  { name: 'Massachusetts Avenue', detail: 'Orange Line', coordinates: [-71.0834, 42.3415] },
+  { name: 'Ruggles', detail: 'Orange Line · Commuter Rail', coordinates: [-71.0893, 42.3364] },
+  { name: 'Roxbury Crossing', detail: 'Orange Line', coordinates: [-71.0955, 42.3314] },
+  { name: 'Jackson Square', detail: 'Orange Line', coordinates: [-71.0996, 42.3232] },
+  { name: 'Stony Brook', detail: 'Orange Line', coordinates: [-71.1043, 42.3171] },
+  { name: 'Green Street', detail: 'Orange Line', coordinates: [-71.1075, 42.3105] },
+  { name: 'Forest Hills', detail: 'Orange Line · Commuter Rail', coordinates: [-71.1137, 42.3005] },
+
+  // Green Line
+  { name: 'Medford/Tufts', detail: 'Green Line', coordinates: [-71.1068, 42.4075] },
+  { name: 'Ball Square', detail: 'Green Line', coordinates: [-71.1110, 42.3996] },
+  { name: 'Magoun Square', detail: 'Green Line', coordinates: [-71.1063, 42.3937] },
+  { name: 'Gilman Square', detail: 'Green Line', coordinates: [-71.0960, 42.3878] },
+  { name: 'East Somerville', detail: 'Green Line', coordinates: [-71.0866, 42.3795] },
+  { name: 'Union Square', detail: 'Green Line', coordinates: [-71.0937, 42.3777] },
+  { name: 'Lechmere', detail: 'Green Line', coordinates: [-71.0765, 42.3711] },
+  { name: 'Science Park/West End', detail: 'Green Line', coordinates: [-71.0680, 42.3666] },
+  { name: 'Government Center', detail: 'Green Line · Blue Line', coordinates: [-71.0592, 42.3597] },
+  { name: 'Copley', detail: 'Green Line', coordinates: [-71.0775, 42.3500] },
+  { name: 'Hynes Convention Center', detail: 'Green Line', coordinates: [-71.0878, 42.3480] },
+  { name: 'Kenmore', detail: 'Green Line', coordinates: [-71.0952, 42.3489] },
+  { name: 'Symphony', detail: 'Green Line', coordinates: [-71.0851, 42.3425] },
+  { name: 'Northeastern University', detail: 'Green Line', coordinates: [-71.0889, 42.3400] },
+  { name: 'Boston University Central', detail: 'Green Line', coordinates: [-71.1067, 42.3503] },
+  { name: 'Harvard Avenue', detail: 'Green Line', coordinates: [-71.1314, 42.3504] },
+
+  // Blue Line
+  { name: 'Aquarium', detail: 'Blue Line', coordinates: [-71.0517, 42.3598] },
+  { name: 'Maverick', detail: 'Blue Line', coordinates: [-71.0395, 42.3691] },
+  { name: 'Airport', detail: 'Blue Line', coordinates: [-71.0304, 42.3743] }
+]
+
+// Radii offered for a proximity search, in miles
+export const PROXIMITY_RADII = [0.25, 0.5, 1, 2, 5]
+
+export const DEFAULT_PROXIMITY_RADIUS = 1
@@ -0,0 +1,11 @@
+// Basemaps offered in the map style selector; `id` is what appears in shared URLs
+export const MAP_STYLES = [
+  { id: 'light', value: 'mapbox://styles/mapbox/light-v11', label: 'Light' },
+  { id: 'dark', value: 'mapbox://styles/mapbox/dark-v11', label: 'Dark' },
+  { id: 'streets', value: 'mapbox://styles/mapbox/streets-v12', label: 'Streets' },
+  { id: 'satellite', value: 'mapbox://styles/mapbox/satellite-v9', label: 'Satellite' },
+  { id: 'satellite-streets', value: 'mapbox://styles/mapbox/satellite-streets-v12', label: 'Satellite Streets' },
+  { id: 'outdoors', value: 'mapbox://styles/mapbox/outdoors-v12', label: 'Outdoors' }
+]
+
+export const DEFAULT_MAP_STYLE = MAP_STYLES[0].id
@@ -0,0 +1,62 @@
+/**
+ * Municipalities with neighborhood boundaries. Add an entry here to add a
+ * city's neighborhoods to the map layers, zoom, filters and header.
+ *
+ * - id:                      stable key, used in map layer ids
+ * - name:                    display name; must match the `city` values of spaces
+ * - town:                    the `town` value of the city's polygon in /api/boundaries/towns
+ * - neighborhoodServiceUrl:  ArcGIS FeatureServer layer with the neighborhood polygons
+ * - nameField:               attribute holding each neighborhood's name (case-insensitive);
+ *                            `name` and `neighborhood` are tried if it's missing
+ * - fillColor / lineColor:   colors for the city outline and its neighborhoods
+ *
+ * Order sets the order cities are listed in the header.
+ */
+export const MUNICIPALITIES = [
+  {
+    id: 'boston',
+    name: 'Boston',
+    town: 'BOSTON',
+    neighborhoodServiceUrl: 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Boston_Neighborhoods/FeatureServer/0',
+    nameField: 'name',
+    fillColor: '#ffcccc',
+    lineColor: '#ff6666'
+  },
+  {
+    id: 'cambridge',
+    name: 'Cambridge',
+    town: 'CAMBRIDGE',
+    neighborhoodServiceUrl: 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Cambridge_Neighborhoods/FeatureServer/0',
+    nameField: 'name',
+    fillColor: '#4a90e2',
+    lineColor: '#4a90e2'
+  },
+  {
+    id: 'somerville',
+    name: 'Somerville',
+    town: 'SOMERVILLE',
+    neighborhoodServiceUrl: 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Somerville_Neighborhoods/FeatureServer/0',
+    nameField: 'name',
+    fillColor: '#ffffcc',
+    lineColor: '#cccc00'
+  }
+]
+
+// Colors for towns that aren't in the registry
+export const DEFAULT_TOWN_COLORS = { fillColor: '#4a90e2', lineColor: '#4a90e2' }
+
+// Find a municipality by id, display name or town name, case-insensitively
+export const getMunicipality = (name) => {
+  const key = String(name || '').trim().toUpperCase()
+  return MUNICIPALITIES.find(municipality =>
+    municipality.id.toUpperCase() === key ||
+    municipality.name.toUpperCase() === key ||
+    municipality.town.toUpperCase() === key
+  ) || null
+}
+
+// "Boston, Cambridge & Somerville"
+export const municipalityNames = () => {
+  const names = MUNICIPALITIES.map(municipality => municipality.name)
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names.join('')
+}
@@ -0,0 +1,73 @@
+/**
+ * Space-type taxonomy. Edit this list to add or restyle categories; the
+ * filter dropdown, map markers, legend and pie chart all read from it.
+ *
+ * - id:       stable value used in filters and URLs
+ * - label:    display name
+ * - color:    marker/chart color; keep a 3:1 contrast ratio against white (WCAG AA)
+ *             Reference: https://webaim.org/resources/contrastchecker/
+ * - icon:     Font Awesome icon class (loaded in index.html)
+ * - keywords: case-insensitive substrings of the raw `type` value that put a
+ *             space in this category; a space can match several categories
+ *
+ * Order matters: a space's first matching category sets its marker color.
+ * The category with no keywords catches spaces that match nothing else.
+ */
+export const SPACE_TYPES = [
+  {
+    id: 'presentation',
+    label: 'Presentation',
+    color: '#0066CC',
+    icon: 'fa-masks-theater',
+    keywords: ['presentation']
+  },
+  {
+    id: 'production',
+    label: 'Production',
+    color: '#008844',
+    icon: 'fa-hammer',
+    keywords: ['production']
+  },
+  {
+    id: 'rehearsal',
+    label: 'Rehearsal',
+    color: '#AA3377',
+    icon: 'fa-person-running',
+    keywords: ['rehearsal']
+  },
+  {
+    id: 'studio',
+    label: 'Studio',
+    color: '#8B5A00',
+    icon: 'fa-palette',
+    keywords: ['studio']
+  },
+  {
+    id: 'live-work',
+    label: 'Live/Work',
+    color: '#007B83',
+    icon: 'fa-house-chimney',
+    keywords: ['live/work', 'live-work', 'live work']
+  },
+  {
+    id: 'gallery',
+    label: 'Gallery',
+    color: '#B03A2E',
+    icon: 'fa-image',
+    keywords: ['gallery', 'galleries']
+  },
+  {
+    id: 'performance-venue',
+    label: 'Performance Venue',
+    color: '#4B5563',
+    icon: 'fa-ticket',
+    keywords: ['performance venue', 'venue', 'theater', 'theatre']
+  },
+  {
+    id: 'unknown',
+    label: 'Unknown',
+    color: '#CC6600',
+    icon: 'fa-circle-question',
+    keywords: []
+  }
+]
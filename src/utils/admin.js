@@ -0,0 +1,67 @@
+/**
+ * Client side of the admin API (see server/adminAuth.js). Requests carry the
+ * session cookie set by signIn; errors have the server's message and `status`,
+ * so callers can send the user back to sign in on a 401.
+ */
+
+async function adminRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`/api/admin${path}`, {
+    method,
+    credentials: 'same-origin',
+    ...(body !== undefined && {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+  })
+  if (response.status === 204) return null
+  const json = await response.json().catch(() => null)
+  if (!response.ok) {
+    const error = new Error(json?.error || `HTTP error! status: ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  return json
+}
+
+// The signed-in admin: { name, role, permissions }
+export const fetchAdminSession = () => adminRequest('/session')
+
+export const signIn = (name, password) => adminRequest('/session', { method: 'POST', body: { name, password } })
+
+export const signOut = () => adminRequest('/session', { method: 'DELETE' })
+
+// { checkedAt, upstreams, caches, history, submissions }
+export const fetchHealth = () => adminRequest('/health')
+
+// Fetch the feature set from ArcGIS now: { fetchedAt, features, excluded, invalid }
+export const refreshFeatureCache = () => adminRequest('/cache/refresh', { method: 'POST' })
+
+// { fetchedAt, rules, excluded }
+export const fetchExclusions = () => adminRequest('/exclusions')
+
+export const addExclusionRule = (rule) => adminRequest('/exclusions', { method: 'POST', body: rule })
+
+export const removeExclusionRule = (id) =>
+  adminRequest(`/exclusions/${encodeURIComponent(id)}`, { method: 'DELETE' })
+
+// Suggestions with `status` (pending, approved, rejected or all), each with `current` and `diff`
+export async function fetchSubmissions(status = 'pending') {
+  const { submissions } = await adminRequest(`/submissions?status=${encodeURIComponent(status)}`)
+  return submissions
+}
+
+// Approve or reject a pending suggestion; resolves to the updated submission
+export const reviewSubmission = (id, decision, note) =>
+  adminRequest(`/submissions/${encodeURIComponent(id)}/${decision}`, { method: 'POST', body: { note } })
+
+// The latest audit log entries, newest first
+export async function fetchAuditLog({ limit = 100, action = '' } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) })
+  if (action) params.set('action', action)
+  const { entries } = await adminRequest(`/audit?${params}`)
+  return entries
+}
+
+// "Mar 3, 2026, 2:15 PM"
+export const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
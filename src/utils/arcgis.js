@@ -1,6 +1,14 @@
+import { normalizeFeatures } from './featureSchema'
+import { getMunicipality } from '../config/municipalities'
+
 /**
  * Fetch data from ArcGIS Feature Service via backend API proxy
  * This keeps the ArcGIS URL secure on the backend
+ *
+ * Returns { features, asOf, stale }: `features` follow the normalized schema
+ * (see featureSchema.js), `asOf` is when the server last fetched the data from
+ * ArcGIS, and `stale` is true when the server is serving its cached snapshot
+ * because ArcGIS could not be reached.
  */
 export async function fetchFeatureServiceData() {
   try {
@@ -13,13 +21,29 @@ export async function fetchFeatureServiceData() {
       throw new Error(`HTTP error! status: ${response.status}`)
     }
     
-    const features = await response.json()
+    const rawFeatures = await response.json()
     
-    if (!Array.isArray(features)) {
+    if (!Array.isArray(rawFeatures)) {
       throw new Error('Invalid response format')
     }
     
-    return features
+    const { features, invalid } = normalizeFeatures(rawFeatures)
+    
+    if (invalid.length > 0) {
+      console.group('⚠️ Features that failed validation:')
+      invalid.forEach(({ name, city, neighborhood, problems }) => {
+        console.log(`- Name: "${name || 'Unknown'}" | City: ${city || 'Unknown'} | Neighborhood: ${neighborhood || 'Unknown'} | ${problems.join(', ')}`)
+      })
+      console.groupEnd()
+    }
+    
+    const lastModified = response.headers.get('Last-Modified')
+    
+    return {
+      features,
+      asOf: lastModified ? new Date(lastModified) : null,
+      stale: response.headers.get('X-Data-Stale') === 'true'
+    }
   } catch (error) {
     console.error('Error fetching ArcGIS data:', error)
     throw error
@@ -27,24 +51,17 @@ export async function fetchFeatureServiceData() {
 }
 
 /**
- * Fetch neighborhood data from ArcGIS Feature Service
+ * Fetch a municipality's neighborhood polygons via the backend, which
+ * simplifies and caches them (see server/boundaries.js)
  */
 export async function fetchNeighborhoodData(city) {
-  const serviceUrls = {
-    'Boston': 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Boston_Neighborhoods/FeatureServer/0',
-    'Cambridge': 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Cambridge_Neighborhoods/FeatureServer/0',
-    'Somerville': 'https://services.arcgis.com/c5WwApDsDjRhIVkH/arcgis/rest/services/Somerville_Neighborhoods/FeatureServer/0'
-  }
-
-  const url = serviceUrls[city]
-  if (!url) {
+  const municipality = getMunicipality(city)
+  if (!municipality?.neighborhoodServiceUrl) {
     throw new Error(`No neighborhood service URL found for city: ${city}`)
   }
 
   try {
-    const response = await fetch(
-      `${url}/query?where=1=1&outFields=*&outSR=4326&f=geojson&returnGeometry=true`
-    )
+    const response = await fetch(`/api/boundaries/${municipality.id}`)
     
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`)
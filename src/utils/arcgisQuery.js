@@ -0,0 +1,151 @@
+/**
+ * Paged queries against an ArcGIS Feature Service layer.
+ * Shared by the Express proxy (server.js) and the browser (arcgis.js), so it
+ * must not use any Node- or Vite-specific APIs.
+ */
+
+const DEFAULT_PAGE_SIZE = 1000
+const DEFAULT_CONCURRENCY = 4
+const DEFAULT_RETRIES = 3
+const DEFAULT_BACKOFF_MS = 500
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// ArcGIS answers some failures with HTTP 200 and an { error } body
+class ArcGISError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'ArcGISError'
+    this.status = status
+  }
+}
+
+const isRetryable = (error) => {
+  if (!(error instanceof ArcGISError)) return true // network failure
+  return error.status === 429 || error.status >= 500
+}
+
+/**
+ * Fetch JSON from an ArcGIS endpoint, retrying network errors, 429s and 5xx
+ * responses with exponential backoff.
+ */
+export async function fetchArcGISJson(url, { retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+  let attempt = 0
+  while (true) {
+    try {
+      const response = await fetch(url)
+      if (!response.ok) {
+        throw new ArcGISError(`HTTP error! status: ${response.status}`, response.status)
+      }
+      const json = await response.json()
+      if (json.error) {
+        throw new ArcGISError(json.error.message || 'ArcGIS query failed', json.error.code)
+      }
+      return json
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error
+      // Exponential backoff with jitter so parallel pages don't retry in lockstep
+      const delay = backoffMs * 2 ** attempt * (0.5 + Math.random() / 2)
+      attempt++
+      await sleep(delay)
+    }
+  }
+}
+
+// Run async tasks with at most `limit` in flight, keeping results in order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index], index)
+    }
+  })
+  await Promise.all(workers)
+  return results
+}
+
+const exceededTransferLimit = (geojson) =>
+  Boolean(geojson.exceededTransferLimit || geojson.properties?.exceededTransferLimit)
+
+/**
+ * Query every feature in a layer as GeoJSON, paging past the service's
+ * maxRecordCount with resultOffset/resultRecordCount.
+ *
+ * Pages are fetched `concurrency` at a time. If the last page still reports
+ * exceededTransferLimit (the count changed under us, or the server caps pages
+ * below maxRecordCount) paging continues until the set is complete.
+ *
+ * Returns a GeoJSON FeatureCollection.
+ */
+export async function queryAllFeatures(layerUrl, {
+  where = '1=1',
+  params = {},
+  pageSize,
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS
+} = {}) {
+  const retryOptions = { retries, backoffMs }
+  const baseParams = {
+    where,
+    outFields: '*',
+    outSR: '4326',
+    returnGeometry: 'true',
+    ...params
+  }
+  const queryUrl = (extra) => `${layerUrl}/query?${new URLSearchParams({ ...baseParams, ...extra })}`
+
+  const metadata = await fetchArcGISJson(`${layerUrl}?f=json`, retryOptions)
+  const supportsPagination = metadata.advancedQueryCapabilities?.supportsPagination !== false
+  const limit = pageSize || metadata.maxRecordCount || DEFAULT_PAGE_SIZE
+
+  if (!supportsPagination) {
+    const geojson = await fetchArcGISJson(queryUrl({ f: 'geojson' }), retryOptions)
+    if (exceededTransferLimit(geojson)) {
+      console.warn(`${layerUrl} does not support pagination; results were truncated at ${limit} features`)
+    }
+    return { type: 'FeatureCollection', features: geojson.features || [] }
+  }
+
+  const { count = 0 } = await fetchArcGISJson(queryUrl({ f: 'json', returnCountOnly: 'true' }), retryOptions)
+
+  // Stable ordering is required for offsets to line up between pages
+  const orderBy = metadata.objectIdField ? { orderByFields: metadata.objectIdField } : {}
+  const fetchPage = (offset, recordCount) => fetchArcGISJson(queryUrl({
+    f: 'geojson',
+    resultOffset: String(offset),
+    resultRecordCount: String(recordCount),
+    ...orderBy
+  }), retryOptions)
+
+  // Fill one page worth of records; some servers return fewer than requested
+  // and flag exceededTransferLimit, so keep asking for the remainder
+  const fetchRange = async (start) => {
+    const features = []
+    let page
+    do {
+      page = await fetchPage(start + features.length, limit - features.length)
+      features.push(...(page.features || []))
+    } while (exceededTransferLimit(page) && page.features?.length && features.length < limit)
+    return { features, exceeded: exceededTransferLimit(page) }
+  }
+
+  const offsets = []
+  for (let offset = 0; offset < Math.max(count, 1); offset += limit) {
+    offsets.push(offset)
+  }
+
+  const ranges = await mapWithConcurrency(offsets, concurrency, fetchRange)
+  const features = ranges.flatMap(range => range.features)
+
+  // The layer grew since we counted it: keep going while the server says there is more
+  let last = ranges[ranges.length - 1]
+  while (last.exceeded && last.features.length) {
+    last = await fetchRange(features.length)
+    features.push(...last.features)
+  }
+
+  return { type: 'FeatureCollection', features }
+}
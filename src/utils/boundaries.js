@@ -0,0 +1,143 @@
+import { fetchNeighborhoodData } from './arcgis'
+import { boundaryName } from './featureSchema'
+import { geometryBounds, pointInGeometry } from './geometry'
+import { MUNICIPALITIES } from '../config/municipalities'
+
+// MA town names are upper case in the source data
+export const townName = (properties) =>
+  String(properties?.town || '').toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase())
+
+const sameText = (a, b) => (a || '').trim().toUpperCase() === (b || '').trim().toUpperCase()
+
+/**
+ * Load the Massachusetts town polygons for `towns` (town names), simplified for
+ * the map `zoom` (omit it for full detail). The FeatureCollection's `level`
+ * gives the zoom range it was simplified for. Returns null if it fails to load.
+ */
+export async function loadTownBoundaries(towns, zoom = null) {
+  const params = new URLSearchParams({ towns: towns.join(',') })
+  if (zoom !== null) params.set('zoom', zoom)
+
+  try {
+    const response = await fetch(`/api/boundaries/towns?${params}`)
+    if (!response.ok) {
+      throw new Error(`Failed to load town boundaries: ${response.status}`)
+    }
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading town boundaries:', error)
+    return null
+  }
+}
+
+/**
+ * Load the neighborhood polygons of each municipality in the registry, as
+ * { [city name]: FeatureCollection }; cities that fail to load are logged and
+ * left out. Each neighborhood's name is copied to `properties.name` from the
+ * layer's `nameField`, so boundaryName() works on all of them.
+ */
+export async function loadNeighborhoodBoundaries() {
+  const municipalities = MUNICIPALITIES.filter(municipality => municipality.neighborhoodServiceUrl)
+  const collections = await Promise.all(
+    municipalities.map(({ name }) => fetchNeighborhoodData(name).catch(error => {
+      console.error(`Error loading ${name} neighborhoods:`, error)
+      return null
+    }))
+  )
+
+  const neighborhoods = {}
+  municipalities.forEach((municipality, index) => {
+    const collection = collections[index]
+    if (!collection) return
+    neighborhoods[municipality.name] = {
+      ...collection,
+      features: collection.features.map(feature => ({
+        ...feature,
+        properties: {
+          ...feature.properties,
+          name: boundaryName(feature.properties, municipality.nameField)
+        }
+      }))
+    }
+  })
+
+  return neighborhoods
+}
+
+// Find the polygon containing a point, checking bounding boxes first
+function containingFeature(point, indexed) {
+  const match = indexed.find(({ extent, feature }) =>
+    point[0] >= extent[0] && point[0] <= extent[2] &&
+    point[1] >= extent[1] && point[1] <= extent[3] &&
+    pointInGeometry(point, feature.geometry)
+  )
+  return match?.feature || null
+}
+
+const indexFeatures = (collection) => (collection?.features || [])
+  .map(feature => ({ feature, extent: geometryBounds(feature.geometry) }))
+  .filter(({ extent }) => extent)
+
+/**
+ * Place each space in its town and neighborhood by point-in-polygon.
+ *
+ * `city` and `neighborhood` become the computed values where boundaries are
+ * loaded (keeping the recorded spelling when they agree), the Airtable values
+ * are kept under `recordedCity` / `recordedNeighborhood`, and disagreements are
+ * listed in `locationIssues` as [{ field, recorded, computed }].
+ */
+export function assignBoundaries(features, { towns, neighborhoods = {} } = {}) {
+  const townIndex = indexFeatures(towns)
+  const neighborhoodIndexes = Object.fromEntries(
+    Object.entries(neighborhoods).map(([city, collection]) => [city.toUpperCase(), indexFeatures(collection)])
+  )
+  if (townIndex.length === 0 && Object.keys(neighborhoodIndexes).length === 0) return features
+
+  return features.map(feature => {
+    const props = feature.properties
+    const point = props.coordinates
+    if (!point) return feature
+
+    const issues = []
+    const resolve = (field, recorded, computed) => {
+      if (computed === null) return recorded
+      if (sameText(recorded, computed)) return recorded
+      issues.push({ field, recorded: recorded || null, computed })
+      return computed
+    }
+
+    const town = townIndex.length > 0 ? containingFeature(point, townIndex) : null
+    const city = resolve('city', props.city, town ? townName(town.properties) : null)
+
+    // Only cities with loaded neighborhood boundaries can be checked
+    const cityNeighborhoods = neighborhoodIndexes[(city || '').toUpperCase()]
+    let neighborhood = props.neighborhood
+    if (cityNeighborhoods) {
+      const polygon = containingFeature(point, cityNeighborhoods)
+      neighborhood = resolve('neighborhood', props.neighborhood, polygon ? boundaryName(polygon.properties) || null : null)
+    }
+
+    return {
+      ...feature,
+      properties: {
+        ...props,
+        city,
+        neighborhood,
+        recordedCity: props.city,
+        recordedNeighborhood: props.neighborhood,
+        locationIssues: issues
+      }
+    }
+  })
+}
+
+/**
+ * Official neighborhood names for a city (or every loaded city), sorted.
+ */
+export function officialNeighborhoods(neighborhoods = {}, city = '') {
+  const names = Object.entries(neighborhoods)
+    .filter(([name]) => !city || sameText(name, city))
+    .flatMap(([, collection]) => (collection?.features || []).map(feature => boundaryName(feature.properties)))
+    .filter(Boolean)
+  return [...new Set(names)].sort()
+}
@@ -0,0 +1,89 @@
+import { FALLBACK_CATEGORY } from './taxonomy'
+import { townName } from './boundaries'
+import { boundaryName } from './featureSchema'
+import { populationOf, squareMilesOf } from './density'
+
+/**
+ * Space counts by city and neighborhood, and side-by-side comparisons of
+ * chosen areas, for the metrics panel. Names are matched case-insensitively,
+ * like the filters in featureFilters.js.
+ */
+
+const keyOf = (value) => (value || '').trim().toUpperCase()
+
+const countCategories = (counts, feature) => {
+  (feature.properties?.categories || [FALLBACK_CATEGORY.id]).forEach(id => {
+    counts[id] = (counts[id] || 0) + 1
+  })
+}
+
+/**
+ * Count spaces per city or per neighborhood (`level`). Neighborhoods are told
+ * apart by city, since names like "Downtown" can repeat.
+ * Returns [{ id, name, city, value, categories: { [category id]: count } }],
+ * most spaces first; spaces without a value for the level are left out.
+ */
+export function breakdownBy(features, level) {
+  const groups = new globalThis.Map()
+  features.forEach(feature => {
+    const { city, neighborhood } = feature.properties || {}
+    const name = level === 'city' ? city : neighborhood
+    if (!name?.trim()) return
+
+    const id = areaId(level, city, name)
+    if (!groups.has(id)) {
+      groups.set(id, { id, name: name.trim(), city: city?.trim() || '', value: 0, categories: {} })
+    }
+    const group = groups.get(id)
+    group.value += 1
+    countCategories(group.categories, feature)
+  })
+  return [...groups.values()].sort((a, b) => b.value - a.value || a.name.localeCompare(b.name))
+}
+
+// Stable id for an area, e.g. "city:SOMERVILLE" or "neighborhood:BOSTON:BACK BAY"
+export const areaId = (level, city, name) =>
+  level === 'city' ? `city:${keyOf(city)}` : `neighborhood:${keyOf(city)}:${keyOf(name)}`
+
+// The boundary polygon for an area, if it's loaded
+function areaBoundary({ level, city, name }, boundaries = {}) {
+  if (level === 'city') {
+    return boundaries.towns?.features.find(town => keyOf(townName(town.properties)) === keyOf(city))
+  }
+  const [, collection] = Object.entries(boundaries.neighborhoods || {})
+    .find(([cityName]) => keyOf(cityName) === keyOf(city)) || []
+  return collection?.features.find(feature => keyOf(boundaryName(feature.properties)) === keyOf(name))
+}
+
+/**
+ * Measure each chosen area ({ level, city, name }) for comparison: its space
+ * count, counts by category, and spaces per square mile and per 10,000
+ * residents where its boundary (and population) is known.
+ */
+export function compareAreas(features, areas, boundaries) {
+  return areas.map(area => {
+    const inArea = features.filter(feature => {
+      const { city, neighborhood } = feature.properties || {}
+      return keyOf(city) === keyOf(area.city) &&
+        (area.level === 'city' || keyOf(neighborhood) === keyOf(area.name))
+    })
+
+    const categories = {}
+    inArea.forEach(feature => countCategories(categories, feature))
+
+    const boundary = areaBoundary(area, boundaries)
+    const squareMiles = boundary ? squareMilesOf(boundary) : null
+    const population = boundary ? populationOf(boundary.properties) : null
+
+    return {
+      ...area,
+      id: areaId(area.level, area.city, area.name),
+      label: area.level === 'city' ? area.name : `${area.name}, ${area.city}`,
+      value: inArea.length,
+      categories,
+      squareMiles,
+      perSquareMile: squareMiles > 0 ? inArea.length / squareMiles : null,
+      per10kResidents: population ? inArea.length / population * 10000 : null
+    }
+  })
+}
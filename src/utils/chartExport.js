@@ -0,0 +1,95 @@
+/**
+ * Turn a rendered recharts chart into a standalone SVG or PNG for reports.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+const PADDING = 16
+const TITLE_HEIGHT = 28
+const LEGEND_ROW_HEIGHT = 18
+
+const svgElement = (name, attributes = {}, text) => {
+  const element = document.createElementNS(SVG_NS, name)
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value))
+  if (text !== undefined) element.textContent = text
+  return element
+}
+
+/**
+ * Build an SVG document from the chart inside `container`, on a white
+ * background with `title` above it. Recharts legends are HTML, so `legend`
+ * items ({ label, color }) are drawn below the chart instead.
+ * Returns { markup, width, height }, or null if there's no chart.
+ */
+export function chartSVG(container, { title = '', legend = [] } = {}) {
+  const chart = container?.querySelector('.recharts-wrapper > svg')
+  if (!chart) return null
+
+  const chartWidth = Number(chart.getAttribute('width')) || chart.getBoundingClientRect().width
+  const chartHeight = Number(chart.getAttribute('height')) || chart.getBoundingClientRect().height
+  const width = chartWidth + PADDING * 2
+  const titleHeight = title ? TITLE_HEIGHT : 0
+  const legendTop = PADDING + titleHeight + chartHeight + (legend.length ? 8 : 0)
+  const height = legendTop + legend.length * LEGEND_ROW_HEIGHT + PADDING
+
+  const root = svgElement('svg', {
+    xmlns: SVG_NS,
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': FONT
+  })
+  root.appendChild(svgElement('rect', { width, height, fill: '#ffffff' }))
+  if (title) {
+    root.appendChild(svgElement('text', {
+      x: width / 2,
+      y: PADDING + 14,
+      'text-anchor': 'middle',
+      'font-size': 14,
+      'font-weight': 600,
+      fill: '#333333'
+    }, title))
+  }
+
+  const copy = chart.cloneNode(true)
+  copy.setAttribute('x', PADDING)
+  copy.setAttribute('y', PADDING + titleHeight)
+  copy.setAttribute('width', chartWidth)
+  copy.setAttribute('height', chartHeight)
+  root.appendChild(copy)
+
+  legend.forEach(({ label, color }, index) => {
+    const y = legendTop + index * LEGEND_ROW_HEIGHT
+    root.appendChild(svgElement('rect', { x: PADDING, y: y + 3, width: 10, height: 10, rx: 2, fill: color }))
+    root.appendChild(svgElement('text', { x: PADDING + 16, y: y + 12, 'font-size': 11, fill: '#333333' }, label))
+  })
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height }
+}
+
+/**
+ * Rasterize SVG markup to a PNG Blob, at `scale` times its size so it stays
+ * sharp in documents.
+ */
+export function svgToPNG({ markup, width, height }, { scale = 2 } = {}) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(width * scale)
+      canvas.height = Math.round(height * scale)
+      const context = canvas.getContext('2d')
+      context.scale(scale, scale)
+      context.drawImage(image, 0, 0, width, height)
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the PNG')), 'image/png')
+    }
+    image.onerror = () => reject(new Error('Could not render the chart'))
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+  })
+}
+
+// e.g. make-space-for-art-spaces-by-city-2026-01-15.png
+export function chartFilename(title, extension, date = new Date()) {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `make-space-for-art-${slug}-${date.toISOString().slice(0, 10)}.${extension}`
+}
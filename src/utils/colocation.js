@@ -0,0 +1,89 @@
+/**
+ * Group spaces that share a location (e.g. tenants of one studio building).
+ *
+ * Points are hashed into a grid of tolerance-sized cells, so each point is only
+ * compared with points in its own and neighboring cells; points within the
+ * tolerance of each other are joined with union-find, which also chains
+ * A–B–C when A and C are slightly further apart.
+ */
+
+const METERS_PER_DEGREE_LAT = 111320
+
+// Union-find over array indexes
+function createDisjointSet(size) {
+  const parent = Array.from({ length: size }, (_, i) => i)
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]]
+      i = parent[i]
+    }
+    return i
+  }
+  const union = (a, b) => {
+    const rootA = find(a)
+    const rootB = find(b)
+    if (rootA !== rootB) parent[rootB] = rootA
+  }
+  return { find, union }
+}
+
+/**
+ * Returns a Map from each co-located feature to its group (an array of
+ * features sorted by name). Features alone at their location are left out.
+ * Coordinates come from the normalized `properties.coordinates`.
+ */
+export function groupColocated(features, toleranceMeters = 10) {
+  const points = features
+    .map(feature => ({ feature, coordinates: feature.properties?.coordinates }))
+    .filter(({ coordinates }) => Array.isArray(coordinates) && coordinates.length >= 2)
+  if (points.length === 0 || !(toleranceMeters > 0)) return new Map()
+
+  // Project onto a local plane in meters; fine at city scale
+  const meanLat = points.reduce((sum, { coordinates }) => sum + coordinates[1], 0) / points.length
+  const metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180)
+  const projected = points.map(({ coordinates }) => [
+    coordinates[0] * metersPerDegreeLon,
+    coordinates[1] * METERS_PER_DEGREE_LAT
+  ])
+
+  const cellKey = (cx, cy) => `${cx}:${cy}`
+  const cells = new Map()
+  projected.forEach(([x, y], index) => {
+    const key = cellKey(Math.floor(x / toleranceMeters), Math.floor(y / toleranceMeters))
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(index)
+  })
+
+  const sets = createDisjointSet(points.length)
+  const toleranceSquared = toleranceMeters * toleranceMeters
+  projected.forEach(([x, y], index) => {
+    const cx = Math.floor(x / toleranceMeters)
+    const cy = Math.floor(y / toleranceMeters)
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (cells.get(cellKey(cx + dx, cy + dy)) || []).forEach(other => {
+          if (other <= index) return
+          const [ox, oy] = projected[other]
+          if ((ox - x) ** 2 + (oy - y) ** 2 <= toleranceSquared) {
+            sets.union(index, other)
+          }
+        })
+      }
+    }
+  })
+
+  const groups = new Map()
+  points.forEach(({ feature }, index) => {
+    const root = sets.find(index)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(feature)
+  })
+
+  const groupOf = new Map()
+  groups.forEach(group => {
+    if (group.length < 2) return
+    group.sort((a, b) => (a.properties.name || '').localeCompare(b.properties.name || ''))
+    group.forEach(feature => groupOf.set(feature, group))
+  })
+  return groupOf
+}
@@ -0,0 +1,13 @@
+/**
+ * Date helpers shared by the client and the server.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// A YYYY-MM-DD date that exists on the calendar (2026-02-30 and 2026-13-45 don't)
+export function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false
+  // Out-of-range months and days give an invalid Date, whose toISOString() throws
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
@@ -0,0 +1,109 @@
+import { geometryArea, geometryBounds, pointInGeometry, SQUARE_METERS_PER_SQUARE_MILE } from './geometry'
+import { pickAttribute } from './featureSchema'
+
+/**
+ * Space density by area (towns or neighborhoods) for the choropleth map mode.
+ */
+
+// Population attributes, most recent first; MA town polygons carry pop2010
+const POPULATION_ALIASES = ['population', 'pop2020', 'pop2010', 'pop', 'total_pop']
+
+export const DENSITY_METRICS = [
+  { id: 'count', label: 'Space count', unit: 'spaces' },
+  { id: 'per-square-mile', label: 'Spaces per square mile', unit: 'per sq mi' },
+  { id: 'per-10k-residents', label: 'Spaces per 10k residents', unit: 'per 10k residents', needsPopulation: true }
+]
+
+// Sequential ramp from few to many spaces
+export const DENSITY_COLORS = ['#fff5eb', '#fdd0a2', '#fd8d3c', '#d94801', '#7f2704']
+
+export const NO_DATA_COLOR = '#d0d0d0'
+
+export const populationOf = (properties) => {
+  const value = Number(pickAttribute(properties, POPULATION_ALIASES))
+  return value > 0 ? value : null
+}
+
+// Square miles: the polygon's own attribute when present, otherwise computed
+export const squareMilesOf = (feature) => {
+  const attribute = Number(pickAttribute(feature.properties, ['sum_square', 'square_miles', 'sq_miles']))
+  return attribute > 0 ? attribute : geometryArea(feature.geometry) / SQUARE_METERS_PER_SQUARE_MILE
+}
+
+// Whether any area has a population attribute, i.e. per-resident rates can be shown
+export const hasPopulation = (areas) => areas.some(area => populationOf(area.properties) !== null)
+
+/**
+ * Count the spaces inside each area and compute the chosen metric.
+ * Returns one feature per area with { name, count, squareMiles, population, value }
+ * properties; `value` is null when the metric can't be computed for the area.
+ */
+export function measureDensity(areas, spaces, metric, nameOf) {
+  const points = spaces
+    .map(space => space.properties?.coordinates)
+    .filter(Boolean)
+
+  return areas
+    .filter(area => area.geometry)
+    .map(area => {
+      const [minLon, minLat, maxLon, maxLat] = geometryBounds(area.geometry) || []
+      const count = points.filter(point =>
+        point[0] >= minLon && point[0] <= maxLon && point[1] >= minLat && point[1] <= maxLat &&
+        pointInGeometry(point, area.geometry)
+      ).length
+
+      const squareMiles = squareMilesOf(area)
+      const population = populationOf(area.properties)
+      let value = count
+      if (metric === 'per-square-mile') {
+        value = squareMiles > 0 ? count / squareMiles : null
+      } else if (metric === 'per-10k-residents') {
+        value = population ? count / population * 10000 : null
+      }
+
+      return {
+        type: 'Feature',
+        geometry: area.geometry,
+        properties: { name: nameOf(area.properties), count, squareMiles, population, value }
+      }
+    })
+}
+
+/**
+ * Quantile class breaks: [min, ..., max] with up to `classes` classes.
+ * Repeated breaks (many equal values) collapse into fewer classes.
+ */
+export function quantileBreaks(values, classes = DENSITY_COLORS.length) {
+  const sorted = values.filter(value => value !== null && Number.isFinite(value)).sort((a, b) => a - b)
+  if (sorted.length === 0) return []
+
+  const breaks = []
+  for (let i = 0; i <= classes; i++) {
+    const index = Math.min(sorted.length - 1, Math.round(i / classes * (sorted.length - 1)))
+    if (breaks[breaks.length - 1] !== sorted[index]) breaks.push(sorted[index])
+  }
+  return breaks.length === 1 ? [breaks[0], breaks[0]] : breaks
+}
+
+// Index of the class a value falls in, for breaks from quantileBreaks
+export function classIndex(value, breaks) {
+  if (value === null || breaks.length < 2) return -1
+  for (let i = breaks.length - 2; i > 0; i--) {
+    if (value >= breaks[i]) return i
+  }
+  return 0
+}
+
+// Colors for each class, spread across the ramp when there are fewer classes than colors
+export function classColors(classCount) {
+  if (classCount <= 0) return []
+  if (classCount <= 1) return [DENSITY_COLORS[DENSITY_COLORS.length - 1]]
+  return Array.from({ length: classCount }, (_, i) =>
+    DENSITY_COLORS[Math.round(i / (classCount - 1) * (DENSITY_COLORS.length - 1))]
+  )
+}
+
+export const formatDensity = (value, metric) => {
+  if (value === null || value === undefined) return 'No data'
+  return metric === 'count' ? String(Math.round(value)) : value.toFixed(value < 10 ? 1 : 0)
+}
@@ -0,0 +1,17 @@
+/**
+ * Save a Blob (or string/ArrayBuffer contents) as a file in the browser
+ */
+export function downloadFile(contents, filename, mimeType = 'application/octet-stream') {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,87 @@
+import MapboxDraw from '@mapbox/mapbox-gl-draw'
+
+const { CommonSelectors, doubleClickZoom } = MapboxDraw.lib
+const { geojsonTypes, cursors, events, modes, activeStates } = MapboxDraw.constants
+
+export const DRAW_RECTANGLE = 'draw_rectangle'
+
+// Corners of the axis-aligned rectangle spanning a and b (draw features keep rings unclosed)
+const rectangleRing = ([x0, y0], [x1, y1]) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1]]
+
+/**
+ * mapbox-gl-draw mode for axis-aligned rectangles: click one corner, then the
+ * opposite one. Escape cancels. Fires draw.create like the built-in modes.
+ */
+const DrawRectangleMode = {
+  onSetup() {
+    const rectangle = this.newFeature({
+      type: geojsonTypes.FEATURE,
+      properties: {},
+      geometry: { type: geojsonTypes.POLYGON, coordinates: [[]] }
+    })
+    this.addFeature(rectangle)
+    this.clearSelectedFeatures()
+    doubleClickZoom.disable(this)
+    this.updateUIClasses({ mouse: cursors.ADD })
+    this.setActionableState({ trash: true })
+    return { rectangle, start: null }
+  },
+
+  onClick(state, event) {
+    const corner = [event.lngLat.lng, event.lngLat.lat]
+    if (!state.start) {
+      state.start = corner
+      state.rectangle.setCoordinates([rectangleRing(corner, corner)])
+      return
+    }
+    state.rectangle.setCoordinates([rectangleRing(state.start, corner)])
+    this.changeMode(modes.SIMPLE_SELECT, { featureIds: [state.rectangle.id] })
+  },
+
+  onTap(state, event) {
+    this.onClick(state, event)
+  },
+
+  onMouseMove(state, event) {
+    if (!state.start) return
+    state.rectangle.setCoordinates([rectangleRing(state.start, [event.lngLat.lng, event.lngLat.lat])])
+  },
+
+  onKeyUp(state, event) {
+    if (CommonSelectors.isEscapeKey(event)) {
+      this.deleteFeature([state.rectangle.id], { silent: true })
+      this.changeMode(modes.SIMPLE_SELECT)
+    }
+  },
+
+  onStop(state) {
+    this.updateUIClasses({ mouse: cursors.NONE })
+    doubleClickZoom.enable(this)
+    this.activateUIButton()
+
+    if (this.getFeature(state.rectangle.id) === undefined) return
+    // A click without a drag leaves a zero-size rectangle
+    const [[x0, y0], , [x1, y1]] = state.rectangle.getCoordinates()[0] || []
+    if (state.start && x0 !== x1 && y0 !== y1) {
+      this.fire(events.CREATE, { features: [state.rectangle.toGeoJSON()] })
+    } else {
+      this.deleteFeature([state.rectangle.id], { silent: true })
+      this.changeMode(modes.SIMPLE_SELECT, {}, { silent: true })
+    }
+  },
+
+  onTrash(state) {
+    this.deleteFeature([state.rectangle.id], { silent: true })
+    this.changeMode(modes.SIMPLE_SELECT)
+  },
+
+  toDisplayFeatures(state, geojson, display) {
+    const isActive = geojson.properties.id === state.rectangle.id
+    geojson.properties.active = isActive ? activeStates.ACTIVE : activeStates.INACTIVE
+    // Nothing to show until the first corner is placed
+    if (isActive && !state.start) return
+    display(geojson)
+  }
+}
+
+export default DrawRectangleMode
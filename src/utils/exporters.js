@@ -0,0 +1,123 @@
+import { countByCategory, getCategory } from './taxonomy.js'
+import { writeWorkbook } from './xlsx.js'
+
+/**
+ * Export normalized features as CSV, GeoJSON or an XLSX workbook.
+ * Shared by the export buttons in MetricsPanel.jsx and /api/features/export,
+ * so a download from either place has the same columns.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+}
+
+// Columns in CSV/XLSX exports and properties in GeoJSON exports
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID', value: props => props.id },
+  { key: 'name', label: 'Name', value: props => props.name },
+  { key: 'type', label: 'Type', value: props => props.type },
+  { key: 'categories', label: 'Categories', value: props => (props.categories || []).map(id => getCategory(id).label).join('; ') },
+  { key: 'city', label: 'City', value: props => props.city },
+  { key: 'neighborhood', label: 'Neighborhood', value: props => props.neighborhood },
+  { key: 'address', label: 'Address', value: props => props.address },
+  { key: 'url', label: 'Website', value: props => props.url },
+  { key: 'lastVerified', label: 'Last Verified', value: props => props.lastVerified?.slice(0, 10) ?? null },
+  { key: 'lastVerifiedSource', label: 'Date Source', value: props => props.lastVerifiedSource },
+  { key: 'longitude', label: 'Longitude', value: props => props.coordinates?.[0] ?? null },
+  { key: 'latitude', label: 'Latitude', value: props => props.coordinates?.[1] ?? null }
+]
+
+const toRecord = (feature) => Object.fromEntries(
+  EXPORT_COLUMNS.map(column => [column.key, column.value(feature.properties || {}) ?? null])
+)
+
+// Quote a CSV cell; text starting with a formula character is prefixed so
+// spreadsheets don't evaluate it
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCSV(features) {
+  const header = EXPORT_COLUMNS.map(column => csvCell(column.label)).join(',')
+  const rows = features.map(feature => {
+    const record = toRecord(feature)
+    return EXPORT_COLUMNS.map(column => csvCell(record[column.key])).join(',')
+  })
+  return [header, ...rows].join('\r\n') + '\r\n'
+}
+
+export function toGeoJSON(features) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: features.map(feature => ({
+      type: 'Feature',
+      id: feature.properties?.id ?? undefined,
+      geometry: feature.geometry,
+      properties: toRecord(feature)
+    }))
+  }, null, 2)
+}
+
+// Workbook with a "Spaces" sheet and a "Summary" sheet of counts by type
+export function toXLSX(features, { title = 'Creative Spaces' } = {}) {
+  const spaceRows = [
+    EXPORT_COLUMNS.map(column => column.label),
+    ...features.map(feature => {
+      const record = toRecord(feature)
+      return EXPORT_COLUMNS.map(column => record[column.key])
+    })
+  ]
+
+  const summaryRows = [
+    [title],
+    ['Total spaces', features.length],
+    [],
+    ['Type', 'Spaces', 'Share of spaces'],
+    ...countByCategory(features).map(category => [
+      category.label,
+      category.value,
+      features.length > 0 ? Number((category.value / features.length).toFixed(3)) : 0
+    ]),
+    [],
+    ['Spaces with several types are counted under each.']
+  ]
+
+  return writeWorkbook([
+    { name: 'Spaces', rows: spaceRows },
+    { name: 'Summary', rows: summaryRows }
+  ])
+}
+
+/**
+ * Export features in one of EXPORT_FORMATS.
+ * Returns { body, mimeType, extension }; `body` is a string for CSV/GeoJSON
+ * and a Uint8Array for XLSX.
+ */
+export function exportFeatures(features, format, options = {}) {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || {}
+  if (!extension) {
+    throw new Error(`Unsupported export format: ${format}`)
+  }
+
+  let body
+  if (format === 'csv') body = toCSV(features)
+  else if (format === 'geojson') body = toGeoJSON(features)
+  else body = toXLSX(features, options)
+
+  return { body, mimeType, extension }
+}
+
+// e.g. make-space-for-art-somerville-production-2026-01-15.csv
+export function exportFilename(extension, filters = {}, date = new Date()) {
+  const parts = ['make-space-for-art', filters.city, filters.neighborhood, filters.type]
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+  return `${parts.join('-')}-${date.toISOString().slice(0, 10)}.${extension}`
+}
@@ -0,0 +1,51 @@
+/**
+ * Compare two lists of normalized features (see featureSchema.js) by id.
+ * Shared by the server's snapshot history and the client.
+ */
+
+// Fields whose edits count as a change; attributes are left out, since
+// Airtable bookkeeping fields change without the space changing
+export const TRACKED_FIELDS = ['name', 'type', 'city', 'neighborhood', 'address', 'url', 'coordinates']
+
+const byId = (features) => new Map(
+  features
+    .filter(feature => feature.properties?.id)
+    .map(feature => [feature.properties.id, feature])
+)
+
+// Coordinates are compared to about 10 cm, so reprojection noise isn't a move
+const comparable = (field, value) => {
+  if (field === 'coordinates' && Array.isArray(value)) return value.map(n => n.toFixed(6)).join(',')
+  return value ?? ''
+}
+
+/**
+ * Spaces added, removed and changed between `before` and `after`.
+ * Returns { added: [feature], removed: [feature], changed: [{ id, name,
+ * feature, changes: [{ field, before, after }] }] }, where removed features
+ * are as they were in `before` and the others as they are in `after`.
+ */
+export function diffFeatures(before, after) {
+  const previous = byId(before)
+  const current = byId(after)
+
+  const added = []
+  const changed = []
+  current.forEach((feature, id) => {
+    const old = previous.get(id)
+    if (!old) {
+      added.push(feature)
+      return
+    }
+    const changes = TRACKED_FIELDS
+      .filter(field => comparable(field, old.properties[field]) !== comparable(field, feature.properties[field]))
+      .map(field => ({ field, before: old.properties[field] ?? null, after: feature.properties[field] ?? null }))
+    if (changes.length > 0) {
+      changed.push({ id, name: feature.properties.name, feature, changes })
+    }
+  })
+
+  const removed = [...previous.values()].filter(feature => !current.has(feature.properties.id))
+
+  return { added, removed, changed }
+}
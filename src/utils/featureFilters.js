@@ -0,0 +1,37 @@
+/**
+ * Feature filtering shared by the client (App.jsx) and the server, which uses
+ * it to filter its cached snapshot when the ArcGIS query can't be made.
+ * Keep in step with the where clause built in server/featureQuery.js.
+ * Expects features in the normalized schema (see featureSchema.js).
+ */
+
+import { geometryBounds } from './geometry.js'
+
+const sameText = (a, b) => (a || '').trim().toUpperCase() === (b || '').trim().toUpperCase()
+
+/**
+ * Check a feature against { city, neighborhood, type, bbox, q }.
+ * Empty filters match everything; text comparisons are case-insensitive.
+ */
+export function matchesFilters(feature, { city, neighborhood, type, bbox, q } = {}) {
+  const props = feature.properties || {}
+
+  if (city && !sameText(props.city, city)) return false
+  if (neighborhood && !sameText(props.neighborhood, neighborhood)) return false
+  if (type && !props.categories?.includes(type)) return false
+
+  if (bbox) {
+    const extent = geometryBounds(feature.geometry)
+    if (!extent) return false
+    const [minLon, minLat, maxLon, maxLat] = bbox
+    if (extent[0] > maxLon || extent[2] < minLon || extent[1] > maxLat || extent[3] < minLat) return false
+  }
+
+  if (q) {
+    const needle = q.trim().toUpperCase()
+    const haystack = [props.name, props.address, props.neighborhood]
+    if (!haystack.some(value => String(value || '').toUpperCase().includes(needle))) return false
+  }
+
+  return true
+}
@@ -0,0 +1,191 @@
+import { classifySpaceType } from './taxonomy.js'
+import { labelPoint } from './geometry.js'
+
+/**
+ * Normalized schema for creative-space features.
+ *
+ * The ArcGIS service mirrors an Airtable base, so attribute names and casing
+ * drift (`city` vs `City`, `full_address` vs `address`). Everything downstream
+ * of normalizeFeature reads these properties only:
+ *
+ *   id            stable identifier (Airtable record id when present, else OBJECTID)
+ *   name          display name
+ *   type          type label as entered, e.g. "Production and Presentation"
+ *   categories    taxonomy category ids, e.g. ['presentation', 'production'] (see taxonomy.js)
+ *   city          municipality
+ *   neighborhood  neighborhood within the city
+ *   address       full street address
+ *   url           website, always with a protocol
+ *   coordinates   [longitude, latitude] used to place the marker, or null
+ *   lastVerified  ISO date the record was last verified, or failing that last
+ *                 edited or created (ArcGIS editor tracking), or null
+ *   lastVerifiedSource  which of those it is: 'verified', 'edited' or 'created'
+ *   attributes    the original attributes, untouched; kept on the server (curation rules
+ *                 match on them) and left out of API responses, see withoutAttributes
+ *
+ * Used by the server before responding and by the client when loading data.
+ */
+
+export const SCHEMA_VERSION = 3
+
+// Candidate attribute names for each schema field, in priority order
+const FIELD_ALIASES = {
+  id: ['record_id', 'airtable_id', 'airtable_record_id', 'id', 'OBJECTID', 'FID'],
+  name: ['name', 'space_name'],
+  type: ['type', 'space_type'],
+  city: ['city', 'town', 'municipality'],
+  neighborhood: ['neighborhood', 'neighbourhood'],
+  address: ['full_address', 'address'],
+  url: ['url', 'website', 'link']
+}
+
+// Date attributes for lastVerified, best evidence first: an explicit verification,
+// then ArcGIS editor tracking (field names differ between hosted and enterprise layers)
+const DATE_ALIASES = [
+  { source: 'verified', aliases: ['last_verified', 'last_verified_date', 'date_verified', 'verified_date', 'verified_at'] },
+  { source: 'edited', aliases: ['last_edited_date', 'EditDate', 'last_modified', 'modified', 'updated_at'] },
+  { source: 'created', aliases: ['created_date', 'CreationDate', 'created', 'created_at'] }
+]
+
+// Candidate name fields on neighborhood boundary layers
+const BOUNDARY_NAME_ALIASES = ['name', 'neighborhood']
+
+// Case-insensitive lookup of the first non-empty attribute among `aliases`
+export function pickAttribute(attributes, aliases) {
+  if (!attributes) return undefined
+  const keys = Object.keys(attributes)
+  for (const alias of aliases) {
+    const key = keys.find(k => k.toLowerCase() === alias.toLowerCase())
+    const value = key !== undefined ? attributes[key] : undefined
+    if (value !== null && value !== undefined && value !== '') return value
+  }
+  return undefined
+}
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim())
+
+function normalizeUrl(value) {
+  const url = text(value)
+  if (!url) return ''
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`
+}
+
+// ArcGIS sends dates as epoch milliseconds; Airtable as ISO strings
+function toISODate(value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null
+  const date = new Date(typeof value === 'number' ? value : String(value).trim())
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// The first parseable date among DATE_ALIASES, as { lastVerified, lastVerifiedSource }
+function pickLastVerified(attributes) {
+  for (const { source, aliases } of DATE_ALIASES) {
+    for (const alias of aliases) {
+      const date = toISODate(pickAttribute(attributes, [alias]))
+      if (date) return { lastVerified: date, lastVerifiedSource: source }
+    }
+  }
+  return { lastVerified: null, lastVerifiedSource: null }
+}
+
+const isPosition = (coords) =>
+  Array.isArray(coords) && coords.length >= 2 && Number.isFinite(coords[0]) && Number.isFinite(coords[1])
+
+// Marker position for any geometry type: the point itself, or a point inside a polygon
+// (its area-weighted centroid, or a point on its surface when that falls outside)
+export function getMarkerCoordinates(geometry) {
+  if (!geometry?.coordinates) return null
+
+  if (geometry.type === 'Point') {
+    return isPosition(geometry.coordinates) ? geometry.coordinates.slice(0, 2) : null
+  }
+
+  const point = labelPoint(geometry)
+  return isPosition(point) ? point : null
+}
+
+export const isNormalized = (feature) => feature?.properties?.schemaVersion === SCHEMA_VERSION
+
+// A normalized feature without its raw attributes, which would about double an API response
+export function withoutAttributes(feature) {
+  const { attributes, ...properties } = feature.properties
+  return { ...feature, properties }
+}
+
+/**
+ * Map a raw ArcGIS/Airtable GeoJSON feature onto the normalized schema.
+ * Already-normalized features are returned unchanged; ones normalized under an
+ * older schema (e.g. from a saved snapshot) are redone from their attributes.
+ */
+export function normalizeFeature(feature) {
+  if (isNormalized(feature)) return feature
+
+  const attributes = (feature.properties?.schemaVersion ? feature.properties.attributes : feature.properties) || {}
+  const rawId = pickAttribute(attributes, FIELD_ALIASES.id) ?? feature.id
+  const type = text(pickAttribute(attributes, FIELD_ALIASES.type))
+
+  const properties = {
+    schemaVersion: SCHEMA_VERSION,
+    id: rawId === undefined || rawId === null ? null : String(rawId),
+    name: text(pickAttribute(attributes, FIELD_ALIASES.name)),
+    type,
+    categories: classifySpaceType(type),
+    city: text(pickAttribute(attributes, FIELD_ALIASES.city)),
+    neighborhood: text(pickAttribute(attributes, FIELD_ALIASES.neighborhood)),
+    address: text(pickAttribute(attributes, FIELD_ALIASES.address)),
+    url: normalizeUrl(pickAttribute(attributes, FIELD_ALIASES.url)),
+    coordinates: getMarkerCoordinates(feature.geometry),
+    ...pickLastVerified(attributes),
+    attributes
+  }
+
+  return {
+    type: 'Feature',
+    id: properties.id,
+    geometry: feature.geometry || null,
+    properties
+  }
+}
+
+// List the schema problems with a normalized feature (empty when valid)
+export function validateFeature(feature) {
+  const props = feature.properties || {}
+  const problems = []
+
+  if (!props.id) problems.push('missing id')
+  if (!props.name) problems.push('missing name')
+  if (!props.city) problems.push('missing city')
+  if (!props.coordinates) {
+    problems.push(`missing or invalid coordinates (geometry: ${feature.geometry?.type || 'none'})`)
+  }
+
+  return problems
+}
+
+/**
+ * Normalize a list of raw features.
+ * Returns { features, invalid } where `invalid` describes each feature that
+ * failed validation. Invalid features are still returned so counts stay whole;
+ * ones without coordinates simply can't be drawn.
+ */
+export function normalizeFeatures(rawFeatures) {
+  const features = rawFeatures.map(normalizeFeature)
+  const invalid = []
+
+  features.forEach(feature => {
+    const problems = validateFeature(feature)
+    if (problems.length > 0) {
+      const { id, name, city, neighborhood } = feature.properties
+      invalid.push({ id, name, city, neighborhood, problems })
+    }
+  })
+
+  return { features, invalid }
+}
+
+// Name of a neighborhood boundary polygon: its layer's `nameField` when given,
+// otherwise whichever of the usual fields it has
+export function boundaryName(properties, nameField) {
+  const aliases = nameField ? [nameField, ...BOUNDARY_NAME_ALIASES] : BOUNDARY_NAME_ALIASES
+  return text(pickAttribute(properties, aliases))
+}
@@ -0,0 +1,90 @@
+/**
+ * How recently each space's record was confirmed, from its normalized
+ * `lastVerified` date (see featureSchema.js).
+ */
+
+const MS_PER_MONTH = 1000 * 60 * 60 * 24 * 365.25 / 12
+
+// Marker age buckets, newest first; older records fade on the map
+export const AGE_BUCKETS = [
+  { id: 'recent', label: 'Within the last year', maxMonths: 12, opacity: 1 },
+  { id: 'aging', label: '1–3 years ago', maxMonths: 36, opacity: 0.7 },
+  { id: 'old', label: 'More than 3 years ago', maxMonths: Infinity, opacity: 0.4 },
+  { id: 'unknown', label: 'No date recorded', maxMonths: null, opacity: 0.4 }
+]
+
+const UNKNOWN_BUCKET = AGE_BUCKETS[AGE_BUCKETS.length - 1]
+
+// Choices for the "verified within" filter, in months
+export const VERIFIED_WITHIN_OPTIONS = [3, 6, 12, 24, 36]
+
+// The period counted as fresh in the summary banner
+export const FRESH_MONTHS = 12
+
+// Whole and fractional months from an ISO date to `now`, or null without a date
+export function monthsSince(date, now = new Date()) {
+  if (!date) return null
+  const time = new Date(date).getTime()
+  return Number.isNaN(time) ? null : Math.max(0, (now.getTime() - time) / MS_PER_MONTH)
+}
+
+export function ageBucket(feature, now = new Date()) {
+  const months = monthsSince(feature.properties?.lastVerified, now)
+  if (months === null) return UNKNOWN_BUCKET
+  return AGE_BUCKETS.find(bucket => bucket.maxMonths !== null && months <= bucket.maxMonths)
+}
+
+// Whether a space was verified (or edited) within the last `months` months
+export function verifiedWithin(feature, months, now = new Date()) {
+  const age = monthsSince(feature.properties?.lastVerified, now)
+  return age !== null && age <= months
+}
+
+/**
+ * Summarize how current a set of spaces is: { total, dated, fresh, freshShare,
+ * updated, buckets: [{ ...bucket, count }] }. `fresh` counts spaces with an
+ * explicit verification within FRESH_MONTHS and `freshShare` is out of all
+ * spaces (null when empty); `updated` counts the others edited or created in
+ * that time, as edit tracking records syncs and edits rather than checks.
+ */
+export function freshnessSummary(features, now = new Date()) {
+  const counts = Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.id, 0]))
+  features.forEach(feature => {
+    counts[ageBucket(feature, now).id] += 1
+  })
+
+  const total = features.length
+  const recent = features.filter(feature => verifiedWithin(feature, FRESH_MONTHS, now))
+  const fresh = recent.filter(feature => feature.properties.lastVerifiedSource === 'verified').length
+  return {
+    total,
+    dated: total - counts[UNKNOWN_BUCKET.id],
+    fresh,
+    freshShare: total > 0 ? fresh / total : null,
+    updated: recent.length - fresh,
+    buckets: AGE_BUCKETS.map(bucket => ({ ...bucket, count: counts[bucket.id] }))
+  }
+}
+
+const SOURCE_LABELS = {
+  verified: 'Verified',
+  edited: 'Last edited',
+  created: 'Added'
+}
+
+// "Verified Mar 3, 2025 (7 months ago)"
+export function describeLastVerified(properties, now = new Date()) {
+  if (!properties?.lastVerified) return null
+  const months = monthsSince(properties.lastVerified, now)
+  // UTC, so a date-only value like 2026-03-03 isn't shown as the day before
+  const date = new Date(properties.lastVerified).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+  let age
+  if (months < 1) age = 'this month'
+  else if (months < 24) age = `${Math.round(months)} ${Math.round(months) === 1 ? 'month' : 'months'} ago`
+  else age = `${Math.floor(months / 12)} years ago`
+  return `${SOURCE_LABELS[properties.lastVerifiedSource] || 'Verified'} ${date} (${age})`
+}
+
+// "Within 6 months", "Within 2 years"
+export const formatVerifiedWithin = (months) =>
+  months % 12 === 0 ? `Within ${months === 12 ? 'a year' : `${months / 12} years`}` : `Within ${months} months`
@@ -0,0 +1,341 @@
+/**
+ * Geometry helpers for GeoJSON in WGS84 (lon/lat) coordinates: bounds, areas,
+ * distances, point-in-polygon, marker positions for polygons, and fitting
+ * bounds into a map viewport. Shared by the client and the server, so it has
+ * no imports.
+ */
+
+const EARTH_RADIUS_METERS = 6378137
+
+export const SQUARE_METERS_PER_SQUARE_MILE = 2589988.110336
+export const METERS_PER_MILE = 1609.344
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+const toDegrees = (radians) => radians * 180 / Math.PI
+
+// Polygon rings of a Polygon or MultiPolygon, as [[outer, ...holes], ...]
+const polygonsOf = (geometry) => {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates]
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates
+  return []
+}
+
+/**
+ * [minLon, minLat, maxLon, maxLat] of any geometry, or null
+ */
+export function geometryBounds(geometry) {
+  if (!geometry?.coordinates) return null
+
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      minLon = Math.min(minLon, coords[0])
+      maxLon = Math.max(maxLon, coords[0])
+      minLat = Math.min(minLat, coords[1])
+      maxLat = Math.max(maxLat, coords[1])
+    } else {
+      coords.forEach(visit)
+    }
+  }
+  visit(geometry.coordinates)
+
+  return Number.isFinite(minLon) ? [minLon, minLat, maxLon, maxLat] : null
+}
+
+// Bounds covering every feature's geometry, or null when none have coordinates
+export function featuresBounds(features) {
+  return features.reduce((bounds, feature) => {
+    const extent = geometryBounds(feature?.geometry)
+    if (!extent) return bounds
+    if (!bounds) return extent
+    return [
+      Math.min(bounds[0], extent[0]),
+      Math.min(bounds[1], extent[1]),
+      Math.max(bounds[2], extent[2]),
+      Math.max(bounds[3], extent[3])
+    ]
+  }, null)
+}
+
+// Great-circle (haversine) distance between two [lon, lat] points, in meters
+export function distanceMeters([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1)
+  const dLon = toRadians(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Polygon approximating the circle of `radiusMeters` around a [lon, lat]
+ * center, with `steps` vertices; for drawing search radii on the map.
+ */
+export function circlePolygon([lon, lat], radiusMeters, steps = 64) {
+  const angular = radiusMeters / EARTH_RADIUS_METERS
+  const lat1 = toRadians(lat)
+  const ring = Array.from({ length: steps }, (_, i) => {
+    const bearing = 2 * Math.PI * i / steps
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing))
+    const lon2 = toRadians(lon) + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    )
+    return [toDegrees(lon2), toDegrees(lat2)]
+  })
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+}
+
+// Area of a ring on the sphere, in square meters (always positive)
+function ringArea(ring) {
+  let total = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i]
+    const [lon2, lat2] = ring[i + 1]
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)))
+  }
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2)
+}
+
+/**
+ * Area of a Polygon or MultiPolygon in square meters, holes subtracted.
+ * Other geometry types have no area.
+ */
+export function geometryArea(geometry) {
+  return polygonsOf(geometry).reduce((sum, [outer, ...holes]) => {
+    if (!outer) return sum
+    return sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0)
+  }, 0)
+}
+
+// Even-odd ray casting test against one ring
+function pointInRing([x, y], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Whether a [lon, lat] point lies inside a Polygon or MultiPolygon (outside its holes)
+export function pointInGeometry(point, geometry) {
+  if (!point) return false
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    outer && pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  )
+}
+
+// Signed planar area and area-weighted centroid of a ring
+function ringCentroid(ring) {
+  let area = 0
+  let x = 0
+  let y = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x0, y0] = ring[i]
+    const [x1, y1] = ring[i + 1]
+    const cross = x0 * y1 - x1 * y0
+    area += cross
+    x += (x0 + x1) * cross
+    y += (y0 + y1) * cross
+  }
+  area /= 2
+  return area === 0 ? { area: 0, x: 0, y: 0 } : { area, x: x / (6 * area), y: y / (6 * area) }
+}
+
+/**
+ * Area-weighted centroid of a Polygon or MultiPolygon, holes subtracted.
+ * Planar in lon/lat, which is accurate enough at building and city scale.
+ * May fall outside a concave polygon; see labelPoint.
+ */
+export function polygonCentroid(geometry) {
+  let totalArea = 0
+  let x = 0
+  let y = 0
+  polygonsOf(geometry).forEach(rings => {
+    rings.forEach((ring, index) => {
+      const centroid = ringCentroid(ring)
+      // Outer rings add area and holes take it away, whatever their winding
+      const area = Math.abs(centroid.area) * (index === 0 ? 1 : -1)
+      totalArea += area
+      x += centroid.x * area
+      y += centroid.y * area
+    })
+  })
+  return totalArea > 0 ? [x / totalArea, y / totalArea] : null
+}
+
+/**
+ * A point guaranteed to lie inside a Polygon or MultiPolygon: the midpoint of
+ * the widest span where a horizontal line through the middle of the largest
+ * polygon crosses its interior.
+ */
+export function pointOnSurface(geometry) {
+  const polygons = polygonsOf(geometry).filter(rings => rings[0]?.length >= 4)
+  if (polygons.length === 0) return null
+
+  const largest = polygons.reduce((best, rings) =>
+    geometryArea({ type: 'Polygon', coordinates: rings }) > geometryArea({ type: 'Polygon', coordinates: best }) ? rings : best
+  )
+  const [, minLat, , maxLat] = geometryBounds({ type: 'Polygon', coordinates: largest })
+
+  // Try the middle first, then lines either side of it in case it runs along a vertex
+  for (const fraction of [0.5, 0.45, 0.55, 0.35, 0.65, 0.25, 0.75]) {
+    const y = minLat + (maxLat - minLat) * fraction
+    const crossings = []
+    largest.forEach(ring => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i]
+        const [x1, y1] = ring[i + 1]
+        if ((y0 > y) !== (y1 > y)) {
+          crossings.push(x0 + (y - y0) / (y1 - y0) * (x1 - x0))
+        }
+      }
+    })
+    crossings.sort((a, b) => a - b)
+
+    // Crossings pair up into inside spans: [c0, c1], [c2, c3], ...
+    let best = null
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const width = crossings[i + 1] - crossings[i]
+      if (width > 0 && (!best || width > best.width)) {
+        best = { width, x: (crossings[i] + crossings[i + 1]) / 2 }
+      }
+    }
+    if (best) return [best.x, y]
+  }
+
+  return largest[0][0].slice(0, 2)
+}
+
+/**
+ * Where to put a marker for a polygon: its centroid when that lies inside,
+ * otherwise a point on its surface.
+ */
+export function labelPoint(geometry) {
+  const centroid = polygonCentroid(geometry)
+  if (centroid && pointInGeometry(centroid, geometry)) return centroid
+  return pointOnSurface(geometry)
+}
+
+// Squared distance from point p to the segment a–b, in coordinate units
+function segmentDistanceSquared([px, py], [ax, ay], [bx, by]) {
+  let dx = bx - ax
+  let dy = by - ay
+  if (dx !== 0 || dy !== 0) {
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)))
+    ax += t * dx
+    ay += t * dy
+  }
+  dx = px - ax
+  dy = py - ay
+  return dx * dx + dy * dy
+}
+
+// Douglas–Peucker simplification of a line, keeping both ends
+function simplifyLine(points, toleranceSquared) {
+  if (points.length <= 2) return points
+  const keep = new Array(points.length).fill(false)
+  keep[0] = keep[points.length - 1] = true
+
+  const stack = [[0, points.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceSquared(points[i], points[first], points[last])
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+    if (maxDistance > toleranceSquared) {
+      keep[index] = true
+      stack.push([first, index], [index, last])
+    }
+  }
+  return points.filter((_, i) => keep[i])
+}
+
+// Simplify a closed ring, never below a triangle; rings that would vanish keep their original shape
+function simplifyRing(ring, toleranceSquared) {
+  const simplified = simplifyLine(ring, toleranceSquared)
+  return simplified.length >= 4 ? simplified : ring
+}
+
+const roundPosition = (position, precision) => position.slice(0, 2).map(value => Number(value.toFixed(precision)))
+
+/**
+ * Simplify a Polygon or MultiPolygon with Douglas–Peucker (`tolerance` in
+ * degrees) and round coordinates to `precision` decimals. Each ring is
+ * simplified on its own, so edges shared between neighboring polygons may
+ * no longer line up exactly. Other geometry types are only rounded.
+ */
+export function simplifyGeometry(geometry, { tolerance = 0.00005, precision = 6 } = {}) {
+  if (!geometry?.coordinates) return geometry
+  const toleranceSquared = tolerance * tolerance
+  const simplifyPolygon = (rings) => rings.map(ring =>
+    simplifyRing(ring.map(position => roundPosition(position, precision)), toleranceSquared)
+  )
+
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: simplifyPolygon(geometry.coordinates) }
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(simplifyPolygon) }
+  }
+  if (geometry.type === 'Point') {
+    return { type: 'Point', coordinates: roundPosition(geometry.coordinates, precision) }
+  }
+  return geometry
+}
+
+// Mapbox GL renders the world 512 px wide at zoom 0
+const TILE_SIZE = 512
+const MAX_LATITUDE = 85.051129
+
+const mercatorX = (lon) => (lon + 180) / 360
+const mercatorY = (lat) => {
+  const sin = Math.sin(toRadians(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat))))
+  return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+}
+const longitudeOf = (x) => x * 360 - 180
+const latitudeOf = (y) => 360 / Math.PI * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - 90
+
+/**
+ * The { longitude, latitude, zoom } that fits bounds into a viewport of
+ * `width` x `height` pixels, leaving `padding` ({ top, right, bottom, left }
+ * in pixels) clear for overlays. The bounds are centered in the unpadded part
+ * of the viewport. Zero-size bounds (a single point) get `maxZoom`.
+ */
+export function fitBounds(bounds, { width, height }, { padding = {}, minZoom = 0, maxZoom = 16 } = {}) {
+  const { top = 0, right = 0, bottom = 0, left = 0 } = padding
+  const [minLon, minLat, maxLon, maxLat] = bounds
+
+  const x0 = mercatorX(minLon)
+  const x1 = mercatorX(maxLon)
+  const y0 = mercatorY(maxLat)
+  const y1 = mercatorY(minLat)
+
+  // Keep at least a quarter of the viewport for the bounds if the padding is too large
+  const availableWidth = Math.max(width - left - right, width / 4, 1)
+  const availableHeight = Math.max(height - top - bottom, height / 4, 1)
+
+  const spanX = x1 - x0
+  const spanY = y1 - y0
+  const fitZoom = Math.min(
+    spanX > 0 ? Math.log2(availableWidth / (spanX * TILE_SIZE)) : Infinity,
+    spanY > 0 ? Math.log2(availableHeight / (spanY * TILE_SIZE)) : Infinity
+  )
+  const zoom = Math.max(minZoom, Math.min(maxZoom, fitZoom))
+
+  // Shift the center so the bounds sit in the middle of the unpadded area
+  const worldSize = TILE_SIZE * Math.pow(2, zoom)
+  const centerX = (x0 + x1) / 2 - (left - right) / 2 / worldSize
+  const centerY = (y0 + y1) / 2 - (top - bottom) / 2 / worldSize
+
+  return { longitude: longitudeOf(centerX), latitude: latitudeOf(centerY), zoom }
+}
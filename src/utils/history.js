@@ -0,0 +1,48 @@
+import { normalizeFeatures } from './featureSchema'
+
+/**
+ * Client side of the snapshot history (see server/history.js): dated copies
+ * of the feature set, for replaying the map at a past date.
+ */
+
+async function fetchJSON(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  return response.json()
+}
+
+/**
+ * Saved snapshots, oldest first: [{ date, takenAt, count, added, removed,
+ * changed }], with counts relative to the snapshot before. [] if the history
+ * can't be loaded.
+ */
+export async function fetchHistory() {
+  try {
+    const { snapshots } = await fetchJSON('/api/history')
+    return Array.isArray(snapshots) ? snapshots : []
+  } catch (error) {
+    console.error('Error loading snapshot history:', error)
+    return []
+  }
+}
+
+// The spaces as they were in the snapshot on `date` (YYYY-MM-DD)
+export async function fetchSnapshotFeatures(date) {
+  const features = await fetchJSON(`/api/history/${date}`)
+  return normalizeFeatures(features).features
+}
+
+/**
+ * Spaces from earlier snapshots that are missing from the one on `date`,
+ * with `lastSeen` and `lostOn` dates in their properties
+ */
+export async function fetchLostSpaces(date) {
+  const features = await fetchJSON(`/api/history/${date}/lost`)
+  return normalizeFeatures(features).features
+}
+
+// "2026-01-15" -> "Jan 15, 2026", read as a calendar date rather than UTC midnight
+export const formatSnapshotDate = (date) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
@@ -0,0 +1,68 @@
+import { distanceMeters, METERS_PER_MILE } from './geometry'
+import { TRANSIT_STOPS } from '../config/gazetteer'
+
+/**
+ * Proximity search: spaces within a distance of a point.
+ */
+
+const FEET_PER_MILE = 5280
+
+/**
+ * Parse "lat, lon" as copied from most map sites (a comma and/or spaces
+ * between). "lon, lat" is accepted too when the first number can't be a
+ * latitude. Returns [lon, lat] or null.
+ */
+export function parseCoordinates(text) {
+  const numbers = String(text || '').trim().split(/[\s,]+/).filter(Boolean).map(Number)
+  if (numbers.length !== 2 || !numbers.every(Number.isFinite)) return null
+
+  const [first, second] = numbers
+  const [lon, lat] = Math.abs(first) > 90 ? [first, second] : [second, first]
+  return Math.abs(lon) <= 180 && Math.abs(lat) <= 90 ? [lon, lat] : null
+}
+
+// "350 ft" under a tenth of a mile, otherwise "0.4 mi" / "12 mi"
+export function formatDistance(meters) {
+  const miles = meters / METERS_PER_MILE
+  if (miles < 0.1) return `${Math.round(miles * FEET_PER_MILE / 10) * 10} ft`
+  return `${miles.toFixed(miles < 10 ? 1 : 0)} mi`
+}
+
+// "0.25 mi", "1 mi"
+export const formatRadius = (miles) => `${miles} mi`
+
+/**
+ * Spaces within `radiusMeters` of a [lon, lat] center, nearest first.
+ * Returns { features, distances }, where `distances` maps each feature in the
+ * result to its distance in meters.
+ */
+export function spacesWithin(features, center, radiusMeters) {
+  const distances = new Map()
+  features.forEach(feature => {
+    const coordinates = feature.properties?.coordinates
+    if (!coordinates) return
+    const distance = distanceMeters(center, coordinates)
+    if (distance <= radiusMeters) distances.set(feature, distance)
+  })
+  return {
+    features: [...distances.keys()].sort((a, b) => distances.get(a) - distances.get(b)),
+    distances
+  }
+}
+
+/**
+ * Places to search around: the transit stops in the gazetteer, then the
+ * address of every space, as [{ name, detail, coordinates, icon }].
+ */
+export function gazetteerPlaces(features) {
+  const stops = TRANSIT_STOPS.map(stop => ({ ...stop, icon: 'fa-train-subway' }))
+  const addresses = features
+    .filter(feature => feature.properties?.address && feature.properties.coordinates)
+    .map(({ properties }) => ({
+      name: properties.address,
+      detail: [properties.name, properties.city].filter(Boolean).join(' · '),
+      coordinates: properties.coordinates,
+      icon: 'fa-location-dot'
+    }))
+  return [...stops, ...addresses]
+}
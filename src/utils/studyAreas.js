@@ -0,0 +1,58 @@
+import { geometryBounds, pointInGeometry } from './geometry'
+
+/**
+ * Study areas: polygons drawn on the map to filter spaces, e.g. a corridor or
+ * a proposed district. Saved areas live in the browser's localStorage as
+ * GeoJSON Features with { name, savedAt } properties.
+ */
+
+const STORAGE_KEY = 'makeSpaceForArt.studyAreas'
+
+const isPolygon = (feature) =>
+  feature?.type === 'Feature' && ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type)
+
+// Saved areas, or [] if there are none or storage is unavailable
+export function loadSavedAreas() {
+  try {
+    const areas = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(areas) ? areas.filter(isPolygon) : []
+  } catch (error) {
+    console.error('Error reading saved study areas:', error)
+    return []
+  }
+}
+
+export function storeSavedAreas(areas) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(areas))
+  } catch (error) {
+    console.error('Error saving study areas:', error)
+  }
+}
+
+// A named copy of a drawn area, ready to save
+export const namedArea = (area, name) => ({
+  type: 'Feature',
+  id: `area-${Date.now().toString(36)}`,
+  properties: { name, savedAt: new Date().toISOString() },
+  geometry: area.geometry
+})
+
+// Whether a space's marker position lies inside an area
+export function inStudyArea(feature, area) {
+  const point = feature.properties?.coordinates
+  if (!point || !area?.geometry) return false
+  const [minLon, minLat, maxLon, maxLat] = geometryBounds(area.geometry)
+  return point[0] >= minLon && point[0] <= maxLon && point[1] >= minLat && point[1] <= maxLat &&
+    pointInGeometry(point, area.geometry)
+}
+
+// Areas as a FeatureCollection for download
+export const areasToGeoJSON = (areas) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: areas.map(({ id, properties, geometry }) => ({ type: 'Feature', id, properties, geometry }))
+}, null, 2)
+
+// "Central Square corridor" -> "central-square-corridor.geojson"
+export const areaFilename = (name) =>
+  `${String(name || 'study-area').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'study-area'}.geojson`
@@ -0,0 +1,35 @@
+/**
+ * Client side of community suggestions (see server/submissions.js); the
+ * moderation calls are in admin.js.
+ */
+
+// Fields a visitor can suggest, with display labels and the server's length limits
+export const SUGGESTION_FIELDS = [
+  { id: 'name', label: 'Name', maxLength: 200 },
+  { id: 'type', label: 'Type', maxLength: 100 },
+  { id: 'address', label: 'Address', maxLength: 300 },
+  { id: 'city', label: 'City', maxLength: 100 },
+  { id: 'neighborhood', label: 'Neighborhood', maxLength: 100 },
+  { id: 'url', label: 'Website', maxLength: 500 }
+]
+
+export const fieldLabel = (field) =>
+  SUGGESTION_FIELDS.find(item => item.id === field)?.label || (field === 'coordinates' ? 'Location' : field)
+
+/**
+ * Send a suggestion: { kind: 'edit', spaceId, fields, closed, note, contact }
+ * or { kind: 'add', fields, coordinates, note, contact }. Resolves to
+ * { id, status }; throws with the server's error message when there is one.
+ */
+export async function sendSuggestion(suggestion) {
+  const response = await fetch('/api/submissions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(suggestion)
+  })
+  const body = await response.json().catch(() => null)
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`)
+  }
+  return body
+}
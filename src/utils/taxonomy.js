@@ -0,0 +1,53 @@
+import { SPACE_TYPES } from '../config/spaceTypes.js'
+
+/**
+ * Lookups over the space-type taxonomy in src/config/spaceTypes.js.
+ * Shared by the client and the server (filter validation and where clauses).
+ */
+
+export const CATEGORIES = SPACE_TYPES
+
+export const CATEGORY_IDS = CATEGORIES.map(category => category.id)
+
+// The catch-all category for types that match no keywords
+export const FALLBACK_CATEGORY = CATEGORIES.find(category => category.keywords.length === 0) || CATEGORIES[CATEGORIES.length - 1]
+
+const categoriesById = Object.fromEntries(CATEGORIES.map(category => [category.id, category]))
+
+export const getCategory = (id) => categoriesById[id] || FALLBACK_CATEGORY
+
+/**
+ * Map a raw type value to the ids of every category it belongs to, in
+ * taxonomy order. Unmatched values get the fallback category.
+ */
+export function classifySpaceType(typeLabel) {
+  const typeLower = String(typeLabel ?? '').toLowerCase().trim()
+  if (!typeLower) return [FALLBACK_CATEGORY.id]
+
+  const matches = CATEGORIES
+    .filter(category => category.keywords.some(keyword => typeLower.includes(keyword.toLowerCase())))
+    .map(category => category.id)
+
+  return matches.length > 0 ? matches : [FALLBACK_CATEGORY.id]
+}
+
+// Marker color for a feature: its first category's color
+export const getCategoryColor = (categories) => getCategory(categories?.[0]).color
+
+/**
+ * Count features per category. A feature in several categories counts once in
+ * each, so the counts can add up to more than the number of features.
+ * Returns [{ id, label, color, icon, value }] for categories with at least one feature.
+ */
+export function countByCategory(features) {
+  const counts = {}
+  features.forEach(feature => {
+    (feature.properties?.categories || [FALLBACK_CATEGORY.id]).forEach(id => {
+      counts[id] = (counts[id] || 0) + 1
+    })
+  })
+
+  return CATEGORIES
+    .filter(category => counts[category.id])
+    .map(category => ({ ...category, value: counts[category.id] }))
+}
@@ -0,0 +1,99 @@
+import { MAP_STYLES, DEFAULT_MAP_STYLE } from '../config/mapStyles'
+import { DEFAULT_PROXIMITY_RADIUS } from '../config/gazetteer'
+import { isCalendarDate } from './dates'
+
+/**
+ * Shareable app state in the query string:
+ *
+ *   ?city=Somerville&neighborhood=Union%20Square&type=production
+ *    &space=<feature id>&lng=-71.0945&lat=42.3777&z=14.5&style=dark
+ *    &near=-71.1218,42.3967&within=0.5&place=Davis&asof=2026-01-15&verified=12
+ *
+ * `near` (lon,lat) and `within` (miles) are a proximity search; `place` is the
+ * name of the point searched around, if it has one. `asof` shows the saved
+ * snapshot from that date instead of the live data. `verified` keeps only spaces
+ * verified (or edited) within that many months.
+ *
+ * Filters and the selected space are pushed as history entries so back/forward
+ * steps through them; map movement replaces the current entry.
+ */
+
+const TEXT_PARAMS = ['city', 'neighborhood', 'type', 'space', 'place']
+
+const parseNumber = (value) => {
+  if (value === null || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+// Read filters, selection, map view and basemap from URLSearchParams
+export function parseUrlState(searchParams) {
+  const state = Object.fromEntries(TEXT_PARAMS.map(key => [key, searchParams.get(key) || '']))
+
+  const longitude = parseNumber(searchParams.get('lng'))
+  const latitude = parseNumber(searchParams.get('lat'))
+  const zoom = parseNumber(searchParams.get('z'))
+  const validView = longitude !== null && latitude !== null && zoom !== null &&
+    Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90 && zoom >= 0 && zoom <= 24
+  state.view = validView ? { longitude, latitude, zoom } : null
+
+  const near = (searchParams.get('near') || '').split(',').map(parseNumber)
+  const validNear = near.length === 2 && near.every(value => value !== null) &&
+    Math.abs(near[0]) <= 180 && Math.abs(near[1]) <= 90
+  state.near = validNear ? near : null
+  const within = parseNumber(searchParams.get('within'))
+  state.within = within > 0 ? within : DEFAULT_PROXIMITY_RADIUS
+
+  const verified = parseNumber(searchParams.get('verified'))
+  state.verified = verified > 0 ? verified : null
+
+  const asof = searchParams.get('asof') || ''
+  state.asof = isCalendarDate(asof) ? asof : ''
+
+  const style = searchParams.get('style')
+  state.style = MAP_STYLES.some(s => s.id === style) ? style : DEFAULT_MAP_STYLE
+
+  return state
+}
+
+/**
+ * Apply changes to a copy of URLSearchParams. Empty values remove the key;
+ * `view` expands into rounded lng/lat/z, `near` is rounded, and the default
+ * style and radius are left out.
+ */
+export function updateSearchParams(searchParams, changes) {
+  const next = new URLSearchParams(searchParams)
+  const set = (key, value) => {
+    if (value === null || value === undefined || value === '') {
+      next.delete(key)
+    } else {
+      next.set(key, String(value))
+    }
+  }
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === 'view') {
+      set('lng', value ? value.longitude.toFixed(5) : null)
+      set('lat', value ? value.latitude.toFixed(5) : null)
+      set('z', value ? value.zoom.toFixed(2) : null)
+    } else if (key === 'near') {
+      set('near', value ? `${value[0].toFixed(5)},${value[1].toFixed(5)}` : null)
+    } else if (key === 'within') {
+      set('within', value === DEFAULT_PROXIMITY_RADIUS ? null : value)
+    } else if (key === 'style') {
+      set('style', value === DEFAULT_MAP_STYLE ? null : value)
+    } else {
+      set(key, value)
+    }
+  })
+
+  return next
+}
+
+// Whether two views differ by more than the precision kept in the URL
+export function viewsDiffer(a, b) {
+  if (!a || !b) return a !== b
+  return Math.abs(a.longitude - b.longitude) > 1e-5 ||
+    Math.abs(a.latitude - b.latitude) > 1e-5 ||
+    Math.abs(a.zoom - b.zoom) > 1e-2
+}
@@ -0,0 +1,96 @@
+import { zipSync, strToU8 } from 'fflate'
+
+/**
+ * A small XLSX (Office Open XML spreadsheet) writer covering what the exports
+ * need: named sheets of text and number cells. Text is written as inline
+ * strings, so the workbook needs no shared string table.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml'
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }
+
+// Escape text for XML, dropping control characters XML can't contain
+const escapeXML = (text) => text
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/[<>&"]/g, char => XML_ENTITIES[char])
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function cellXML(value, reference) {
+  if (value === null || value === undefined || value === '') return ''
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(String(value))}</t></is></c>`
+}
+
+function sheetXML(rows) {
+  const rowsXML = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => cellXML(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('')
+    return cells ? `<row r="${rowIndex + 1}">${cells}</row>` : ''
+  }).join('')
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXML}</sheetData></worksheet>`
+}
+
+// One default font, fill, border and cell format; Excel expects a stylesheet even when nothing is styled
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+  '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>'
+
+/**
+ * Write a workbook from [{ name, rows }], where `rows` is an array of rows,
+ * each an array of cell values (numbers, text, or null for an empty cell).
+ * Sheet names must be unique, at most 31 characters and free of []:*?/\.
+ * Returns the .xlsx file as a Uint8Array.
+ */
+export function writeWorkbook(sheets) {
+  const sheetList = sheets.map((sheet, index) =>
+    `<sheet name="${escapeXML(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+  ).join('')
+  const sheetRelationships = sheets.map((sheet, index) =>
+    `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  ).join('')
+  const sheetContentTypes = sheets.map((sheet, index) =>
+    `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="${CONTENT_TYPE}.worksheet+xml"/>`
+  ).join('')
+
+  const files = {
+    '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE}.sheet.main+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>` +
+      `${sheetContentTypes}</Types>`,
+    '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+      `<sheets>${sheetList}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">${sheetRelationships}` +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/></Relationships>`,
+    'xl/styles.xml': STYLES_XML
+  }
+  sheets.forEach((sheet, index) => {
+    files[`xl/worksheets/sheet${index + 1}.xml`] = sheetXML(sheet.rows)
+  })
+
+  return zipSync(Object.fromEntries(
+    Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])
+  ))
+}